@@ -0,0 +1,194 @@
+const apiBaseUrl = (window.ALADDIN_API_URL || window.ALADDIN_SOCKET_URL || '').replace(/\/$/, '');
+const ADMIN_SECRET_KEY = 'aladdin-admin-secret';
+const REFRESH_INTERVAL_MS = 10_000;
+
+const loginForm = document.getElementById('admin-login-form');
+const secretInput = document.getElementById('admin-secret');
+const adminError = document.getElementById('admin-error');
+const adminConsole = document.getElementById('admin-console');
+const adminSummary = document.getElementById('admin-summary');
+const roomsBody = document.getElementById('admin-rooms');
+const roomDetail = document.getElementById('admin-room-detail');
+const refreshBtn = document.getElementById('admin-refresh-btn');
+const logoutBtn = document.getElementById('admin-logout-btn');
+
+// The secret lives only for this browser tab, so closing the tab locks the console again.
+let adminSecret = sessionStorage.getItem(ADMIN_SECRET_KEY) || '';
+let selectedRoom = null;
+let refreshTimer = null;
+
+loginForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  adminSecret = secretInput.value.trim();
+  secretInput.value = '';
+  void unlock();
+});
+
+logoutBtn.addEventListener('click', () => lock());
+refreshBtn.addEventListener('click', () => void refresh());
+
+roomsBody.addEventListener('click', (event) => {
+  const button = event.target.closest('button');
+  if (!button) return;
+  const { roomCode, action } = button.dataset;
+  if (action === 'details') {
+    selectedRoom = roomCode;
+    void loadRoomDetail();
+  } else {
+    void runRoomAction(roomCode, action);
+  }
+});
+
+async function unlock() {
+  if (!(await refresh())) return;
+  sessionStorage.setItem(ADMIN_SECRET_KEY, adminSecret);
+  loginForm.classList.add('hidden');
+  adminConsole.classList.remove('hidden');
+  clearInterval(refreshTimer);
+  refreshTimer = setInterval(() => void refresh(), REFRESH_INTERVAL_MS);
+}
+
+function lock(message = '') {
+  adminSecret = '';
+  selectedRoom = null;
+  sessionStorage.removeItem(ADMIN_SECRET_KEY);
+  clearInterval(refreshTimer);
+  loginForm.classList.remove('hidden');
+  adminConsole.classList.add('hidden');
+  roomDetail.classList.add('hidden');
+  adminError.textContent = message;
+}
+
+async function adminRequest(method, path, body) {
+  const response = await fetch(`${apiBaseUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${adminSecret}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const payload = await safeReadJson(response);
+  if (response.status === 401 || response.status === 503) {
+    lock(payload?.error || 'The admin secret was rejected.');
+    return null;
+  }
+  if (!response.ok) {
+    adminError.textContent = payload?.error || `Request failed with HTTP ${response.status}.`;
+    return null;
+  }
+  adminError.textContent = '';
+  return payload;
+}
+
+async function refresh() {
+  if (!adminSecret) return false;
+  const payload = await adminRequest('GET', '/api/admin/rooms');
+  if (!payload) return false;
+
+  renderRooms(payload.rooms);
+  if (selectedRoom) await loadRoomDetail();
+  return true;
+}
+
+function renderRooms(rooms) {
+  const online = rooms.reduce((total, room) => total + room.onlineCount, 0);
+  const recent = rooms.reduce((total, room) => total + room.messagesLast24h, 0);
+  adminSummary.textContent = `${rooms.length} room${rooms.length === 1 ? '' : 's'} · ${online} participants online · ${recent} messages in the last 24 hours · updated ${new Date().toLocaleTimeString()}`;
+
+  roomsBody.innerHTML = rooms.map((room) => `
+    <tr data-status="${escapeHtml(room.status)}">
+      <td><button type="button" class="link-button" data-room-code="${escapeHtml(room.roomCode)}" data-action="details">${escapeHtml(room.roomCode)}</button></td>
+      <td>${escapeHtml(room.status)}</td>
+      <td>${room.pauseAi ? '<span class="warning">paused</span>' : 'running'}</td>
+      <td>${room.onlineCount} online / ${room.participantCount}</td>
+      <td>${room.messagesLast24h} today / ${room.messageCount}</td>
+      <td>${room.lastMessageAt ? new Date(room.lastMessageAt).toLocaleString() : '—'}</td>
+      <td>${describeLive(room.live)}</td>
+      <td class="admin-actions">
+        <button type="button" data-room-code="${escapeHtml(room.roomCode)}" data-action="${room.pauseAi ? 'resume' : 'pause'}">${room.pauseAi ? 'Resume AI' : 'Pause AI'}</button>
+        <button type="button" data-room-code="${escapeHtml(room.roomCode)}" data-action="${room.status === 'active' ? 'archive' : 'reopen'}">${room.status === 'active' ? 'Archive' : 'Reopen'}</button>
+        <button type="button" class="warn" data-room-code="${escapeHtml(room.roomCode)}" data-action="purge">Purge</button>
+      </td>
+    </tr>
+  `).join('') || '<tr><td colspan="8" class="search-empty">No rooms yet.</td></tr>';
+}
+
+function describeLive(live) {
+  const parts = [`${live.connectedSockets} socket${live.connectedSockets === 1 ? '' : 's'}`];
+  if (live.eventStreams > 0) parts.push(`${live.eventStreams} stream${live.eventStreams === 1 ? '' : 's'}`);
+  if (live.pending.length > 0) parts.push(`${live.pending.length} pending`);
+  if (live.interjectActive) parts.push('<span class="warning">interject active</span>');
+  return parts.join(' · ');
+}
+
+async function loadRoomDetail() {
+  const room = await adminRequest('GET', `/api/admin/rooms/${encodeURIComponent(selectedRoom)}`);
+  if (!room) {
+    selectedRoom = null;
+    roomDetail.classList.add('hidden');
+    return;
+  }
+
+  const pending = room.live.pending.map((entry) => `
+    <li>${escapeHtml(entry.messageId)} · releases ${new Date(entry.releaseAt).toLocaleTimeString()}${entry.blocked ? ' · blocked by interject' : ''}</li>
+  `).join('') || '<li class="search-empty">No AI messages waiting.</li>';
+  const participants = room.participants.map((participant) => `
+    <li>${escapeHtml(participant.displayName || participant.clientId)} · ${escapeHtml(participant.role)} · ${participant.isOnline ? 'online' : 'offline'}</li>
+  `).join('') || '<li class="search-empty">No participants.</li>';
+
+  roomDetail.innerHTML = `
+    <h2>${escapeHtml(room.roomCode)}</h2>
+    <p class="lead">
+      Created ${new Date(room.createdAt).toLocaleString()} · status ${escapeHtml(room.status)}${room.statusChangedBy ? ` (set by ${escapeHtml(room.statusChangedBy)})` : ''}
+      · delay ${room.settings.aiDelayEnabled ? `${room.settings.aiDelayMs / 1000}s` : 'off'}
+      · ${room.live.recentAiMessages} AI messages since the last human message on this node
+    </p>
+    ${room.loopTrip ? `<p class="warning">Loop guard tripped ${new Date(room.loopTrip.trippedAt).toLocaleString()}: ${escapeHtml(room.loopTrip.detail)}</p>` : ''}
+    <div class="grid-2">
+      <div><h3>Pending AI releases</h3><ul class="task-list">${pending}</ul></div>
+      <div><h3>Participants</h3><ul class="task-list">${participants}</ul></div>
+    </div>
+  `;
+  roomDetail.classList.remove('hidden');
+}
+
+async function runRoomAction(roomCode, action) {
+  const path = `/api/admin/rooms/${encodeURIComponent(roomCode)}`;
+  let result;
+  if (action === 'pause' || action === 'resume') {
+    result = await adminRequest('POST', `${path}/pause`, { pauseAi: action === 'pause' });
+  } else if (action === 'archive' || action === 'reopen') {
+    result = await adminRequest('PATCH', path, { status: action === 'archive' ? 'archived' : 'active' });
+  } else if (action === 'purge') {
+    if (!window.confirm(`Purge room ${roomCode} with all of its messages? Connected participants are disconnected. This cannot be undone.`)) return;
+    result = await adminRequest('DELETE', path);
+    if (result && selectedRoom === roomCode) {
+      selectedRoom = null;
+      roomDetail.classList.add('hidden');
+    }
+  }
+  if (result) await refresh();
+}
+
+async function safeReadJson(response) {
+  const raw = await response.text();
+  if (!raw) return null;
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+if (adminSecret) void unlock();
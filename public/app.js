@@ -24,6 +24,7 @@ const roomLabel = document.getElementById('room-label');
 const messagesEl = document.getElementById('messages');
 const composer = document.getElementById('composer');
 const messageInput = document.getElementById('message-input');
+const contentTypeSelect = document.getElementById('content-type');
 const presence = document.getElementById('presence');
 const identityLabel = document.getElementById('identity-label');
 const roleSelect = document.getElementById('role-select');
@@ -37,6 +38,48 @@ const toastEl = document.getElementById('toast');
 const taskStateWrap = document.getElementById('task-state-wrap');
 const taskStateSelect = document.getElementById('task-state');
 const taskDescriptionInput = document.getElementById('task-description');
+const roomSettingsPanel = document.getElementById('room-settings');
+const roomSettingsForm = document.getElementById('room-settings-form');
+const settingDelayEnabled = document.getElementById('setting-delay-enabled');
+const settingDelaySeconds = document.getElementById('setting-delay-seconds');
+const settingHoldHuman = document.getElementById('setting-hold-human');
+const settingPauseControl = document.getElementById('setting-pause-control');
+const settingLoopEnabled = document.getElementById('setting-loop-enabled');
+const settingLoopMaxMessages = document.getElementById('setting-loop-max-messages');
+const settingLoopWindowSeconds = document.getElementById('setting-loop-window-seconds');
+const settingLoopMaxRepeats = document.getElementById('setting-loop-max-repeats');
+const settingExpiryHours = document.getElementById('setting-expiry-hours');
+const roomStatusForm = document.getElementById('room-status-form');
+const roomStatusSelect = document.getElementById('room-status-select');
+const deleteRoomBtn = document.getElementById('delete-room-btn');
+const roomStatusWarning = document.getElementById('room-status-warning');
+const loopWarning = document.getElementById('loop-warning');
+const loopWarningText = document.getElementById('loop-warning-text');
+const loopResumeBtn = document.getElementById('loop-resume-btn');
+const replyPreview = document.getElementById('reply-preview');
+const replyPreviewText = document.getElementById('reply-preview-text');
+const replyCancelBtn = document.getElementById('reply-cancel');
+const searchForm = document.getElementById('search-form');
+const searchInput = document.getElementById('search-input');
+const searchRole = document.getElementById('search-role');
+const searchClearBtn = document.getElementById('search-clear');
+const searchResultsEl = document.getElementById('search-results');
+const exportFormatSelect = document.getElementById('export-format');
+const exportBtn = document.getElementById('export-btn');
+const taskPanel = document.getElementById('task-panel');
+const taskCount = document.getElementById('task-count');
+const taskList = document.getElementById('task-list');
+const quotaPanel = document.getElementById('quota-panel');
+const quotaList = document.getElementById('quota-list');
+const roomControlForm = document.getElementById('room-control-form');
+const controlTarget = document.getElementById('control-target');
+const moderationForm = document.getElementById('moderation-form');
+const moderationTarget = document.getElementById('moderation-target');
+const moderationBlockAddress = document.getElementById('moderation-block-address');
+const banList = document.getElementById('ban-list');
+const auditPanel = document.getElementById('audit-panel');
+const auditList = document.getElementById('audit-list');
+const auditMoreBtn = document.getElementById('audit-more-btn');
 
 let roomCode = null;
 let pauseAi = false;
@@ -48,7 +91,22 @@ let myDisplayName = '';
 let toastTimer = null;
 let roleLocked = false;
 let participantId = '';
+let participantToken = '';
 let isPrimaryHuman = false;
+let isModerator = false;
+let roomStatus = 'active';
+let auditEvents = [];
+let roomParticipants = [];
+let roomSettings = null;
+let replyToId = null;
+let participantNames = new Map();
+let searchTerms = [];
+let hasOlderMessages = false;
+let loadingOlderMessages = false;
+let tasks = new Map();
+let loopTrip = null;
+let quotaRefreshTimer = null;
+let taskTimer = null;
 
 function scrollMessagesToBottom(force = false) {
   if (!messagesEl) return;
@@ -68,12 +126,27 @@ const statusIcon = {
   read: '✓✓',
 };
 
+const reviewLabels = {
+  approved: 'Approved for AI early',
+  rejected: 'Rejected · hidden from AI',
+  edited: 'Edited by human before AI delivery',
+};
+
 const taskLabels = {
   task_start: 'Task start',
   task_update: 'Task update',
   task_complete: 'Task complete',
 };
 
+const MAX_PAYLOAD_LENGTH = 32_768;
+const composerPlaceholders = {
+  text: 'Type a message',
+  markdown: 'Type a message in Markdown',
+  json: 'Paste a JSON object or array',
+};
+// Images and inline styles are dropped so a message cannot load remote content or restyle the page.
+const MARKDOWN_SANITIZE_OPTIONS = { FORBID_TAGS: ['img', 'style'], FORBID_ATTR: ['style'] };
+
 function getPreLockIdentityHint() {
   return 'Your ID is assigned when you send your first message. Once assigned, your role is locked for this room.';
 }
@@ -103,8 +176,8 @@ createForm.addEventListener('submit', (event) => {
 
 composer.addEventListener('submit', (event) => {
   event.preventDefault();
-  const text = messageInput.value.trim();
-  if (!text || !roomCode) return;
+  const input = messageInput.value.trim();
+  if (!input || !roomCode) return;
 
   const currentRole = roleSelect.value;
   const taskState = currentRole === 'ai' ? taskStateSelect.value : 'none';
@@ -115,14 +188,33 @@ composer.addEventListener('submit', (event) => {
     return;
   }
 
+  const contentType = contentTypeSelect.value;
+  let payload = null;
+  if (contentType === 'json') {
+    try {
+      payload = JSON.parse(input);
+    } catch {
+      landingError.textContent = 'The JSON payload is not valid JSON.';
+      return;
+    }
+    if (payload === null || typeof payload !== 'object') {
+      landingError.textContent = 'The JSON payload must be an object or an array.';
+      return;
+    }
+  }
+
   landingError.textContent = '';
   socket.emit('send-message', {
     roomCode,
-    text,
+    text: contentType === 'json' ? '' : input,
+    contentType,
+    payload,
     emergencyInterject: emergencyMode,
     taskState,
     taskDescription,
+    replyTo: replyToId,
   });
+  setReplyTarget(null);
   messageInput.value = '';
   messageInput.focus();
 
@@ -138,6 +230,11 @@ composer.addEventListener('submit', (event) => {
   }
 });
 
+contentTypeSelect.addEventListener('change', () => {
+  messageInput.placeholder = composerPlaceholders[contentTypeSelect.value];
+  messageInput.maxLength = contentTypeSelect.value === 'json' ? MAX_PAYLOAD_LENGTH : 5000;
+});
+
 roleSelect.addEventListener('change', () => {
   if (!roomCode || roleLocked) return;
   socket.emit('set-role', { roomCode, role: roleSelect.value });
@@ -148,15 +245,27 @@ roleSelect.addEventListener('change', () => {
   markVisibleAsRead();
 });
 
+exportBtn.addEventListener('click', () => {
+  if (!roomCode) return;
+  socket.emit('export-transcript', { roomCode, format: exportFormatSelect.value });
+});
+
 pauseBtn.addEventListener('click', () => {
-  if (!roomCode || !isPrimaryHuman) return;
+  if (!roomCode || !canTogglePause()) return;
   pauseAi = !pauseAi;
   socket.emit('toggle-pause-ai', { roomCode, pauseAi });
   updatePauseUi();
 });
 
+loopResumeBtn.addEventListener('click', () => {
+  if (!roomCode || !canTogglePause()) return;
+  pauseAi = false;
+  socket.emit('toggle-pause-ai', { roomCode, pauseAi });
+  updatePauseUi();
+});
+
 emergencyBtn.addEventListener('click', () => {
-  if (!roomCode || roleSelect.value !== 'human' || !isPrimaryHuman) return;
+  if (!roomCode || !hasControlRights()) return;
   emergencyMode = !emergencyMode;
   if (emergencyMode) {
     socket.emit('start-interject', { roomCode });
@@ -165,14 +274,174 @@ emergencyBtn.addEventListener('click', () => {
   emergencyBtn.textContent = emergencyMode ? 'Interject armed (send next human message)' : 'Interject before AI sees delayed message';
 });
 
-socket.on('chat-history', ({ messages, pauseAi: initialPauseAi, interjectActive: activeInterject, pendingDelay: initialPendingDelay }) => {
+messagesEl.addEventListener('scroll', () => {
+  if (messagesEl.scrollTop < 80) loadOlderMessages();
+});
+
+messagesEl.addEventListener('click', (event) => {
+  const quote = event.target.closest('.reply-quote');
+  if (quote) {
+    jumpToMessage(quote.dataset.replyTo);
+    return;
+  }
+
+  const messageButton = event.target.closest('[data-message-action]');
+  if (messageButton && roomCode) {
+    handleMessageAction(messageButton);
+    return;
+  }
+
+  const button = event.target.closest('[data-review-action]');
+  if (!button || !roomCode) return;
+  const messageId = button.closest('[data-message-id]')?.dataset.messageId;
+  const action = button.dataset.reviewAction;
+  if (!messageId) return;
+
+  if (action === 'edit') {
+    const current = messageState.get(messageId)?.body || '';
+    const text = window.prompt('Edit this AI message before other AI participants see it:', current);
+    if (text === null || !text.trim()) return;
+    socket.emit('review-pending-message', { roomCode, messageId, action, text });
+    return;
+  }
+
+  socket.emit('review-pending-message', { roomCode, messageId, action });
+});
+
+replyCancelBtn.addEventListener('click', () => {
+  setReplyTarget(null);
+});
+
+searchForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const q = searchInput.value.trim();
+  if (!roomCode || (!q && !searchRole.value)) return;
+  socket.emit('search-messages', { roomCode, q, role: searchRole.value || undefined });
+});
+
+searchClearBtn.addEventListener('click', () => {
+  clearSearch();
+});
+
+taskList.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-cancel-task]');
+  if (!button || !roomCode) return;
+  const reason = window.prompt('Why are you cancelling this task? (optional)');
+  if (reason === null) return;
+  socket.emit('cancel-task', { roomCode, taskId: button.dataset.cancelTask, reason });
+});
+
+quotaPanel.addEventListener('toggle', () => {
+  if (quotaPanel.open) requestQuota();
+});
+
+searchResultsEl.addEventListener('click', (event) => {
+  const result = event.target.closest('[data-search-result]');
+  if (!result) return;
+  const messageId = result.dataset.searchResult;
+  clearSearchMarks();
+  if (!jumpToMessage(messageId)) {
+    showToast('That message is not loaded in this view.', 'info');
+    return;
+  }
+  markSearchTerms(document.querySelector(`[data-message-id="${messageId}"]`));
+});
+
+roomControlForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const action = event.submitter?.dataset.controlAction;
+  const targetId = controlTarget.value;
+  if (!roomCode || !isPrimaryHuman || !action || !targetId) return;
+  if (action === 'transfer' && !window.confirm(`Hand over primary control to ${participantNames.get(targetId) || targetId}?`)) return;
+  socket.emit('change-control', { roomCode, action, targetId });
+});
+
+moderationForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const action = event.submitter?.dataset.moderationAction;
+  const targetId = moderationTarget.value;
+  if (!roomCode || !isPrimaryHuman || !action || !targetId) return;
+  const name = participantNames.get(targetId) || targetId;
+  const reason = window.prompt(action === 'ban' ? `Why are you banning ${name}? (optional)` : `Why are you removing ${name}? (optional)`);
+  if (reason === null) return;
+  socket.emit('remove-participant', {
+    roomCode,
+    action,
+    targetId,
+    reason,
+    blockAddress: action === 'ban' && moderationBlockAddress.checked,
+  });
+  moderationBlockAddress.checked = false;
+});
+
+banList.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-lift-ban]');
+  if (!button || !roomCode) return;
+  socket.emit('lift-ban', { roomCode, banId: button.dataset.liftBan });
+});
+
+auditPanel.addEventListener('toggle', () => {
+  if (auditPanel.open && roomCode && isPrimaryHuman) socket.emit('get-audit', { roomCode });
+});
+
+auditMoreBtn.addEventListener('click', () => {
+  const oldest = auditEvents[auditEvents.length - 1];
+  if (oldest && roomCode) socket.emit('get-audit', { roomCode, before: oldest.id });
+});
+
+roomSettingsPanel.addEventListener('toggle', () => {
+  if (roomSettingsPanel.open && roomCode && isPrimaryHuman) socket.emit('get-bans', { roomCode });
+});
+
+roomSettingsForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  if (!roomCode || !isPrimaryHuman) return;
+  socket.emit('update-room-settings', {
+    roomCode,
+    settings: {
+      aiDelayEnabled: settingDelayEnabled.checked,
+      aiDelayMs: Math.round(Number(settingDelaySeconds.value) * 1000),
+      holdHumanMessagesWhilePaused: settingHoldHuman.checked,
+      pauseControl: settingPauseControl.value,
+      loopGuardEnabled: settingLoopEnabled.checked,
+      loopMaxAiMessages: Number(settingLoopMaxMessages.value),
+      loopWindowMs: Math.round(Number(settingLoopWindowSeconds.value) * 1000),
+      loopMaxRepeats: Number(settingLoopMaxRepeats.value),
+      inactiveExpiryHours: Number(settingExpiryHours.value),
+    },
+  });
+});
+
+roomStatusForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  if (!roomCode || !isPrimaryHuman || roomStatusSelect.value === roomStatus) return;
+  socket.emit('set-room-status', { roomCode, status: roomStatusSelect.value });
+});
+
+deleteRoomBtn.addEventListener('click', () => {
+  if (!roomCode || !isPrimaryHuman) return;
+  if (!window.confirm(`Delete room ${roomCode} and all of its messages for everyone? This cannot be undone.`)) return;
+  socket.emit('delete-room', { roomCode });
+});
+
+socket.on('chat-history', ({ messages, hasMore, tasks: initialTasks = [], loopTrip: activeLoopTrip = null, pauseAi: initialPauseAi, roomStatus: initialRoomStatus = 'active', settings, interjectActive: activeInterject, pendingDelay: initialPendingDelay }) => {
   pauseAi = Boolean(initialPauseAi);
+  roomStatus = initialRoomStatus;
+  updateRoomStatusUi();
+  loopTrip = activeLoopTrip;
+  updateLoopWarning();
+  tasks = new Map(initialTasks.map((task) => [task.id, task]));
+  renderTaskPanel();
+  hasOlderMessages = Boolean(hasMore);
+  loadingOlderMessages = false;
+  applyRoomSettings(settings);
   interjectActive = Boolean(activeInterject);
   pendingDelay = Array.isArray(initialPendingDelay) ? initialPendingDelay : [];
   updatePauseUi();
   updateDelayWarning();
   messagesEl.innerHTML = '';
   messageState.clear();
+  setReplyTarget(null);
 
   for (const message of messages) {
     messageState.set(message.id, message);
@@ -180,8 +449,32 @@ socket.on('chat-history', ({ messages, pauseAi: initialPauseAi, interjectActive:
   }
 
   refreshMessageVisibility();
+  refreshMessageControls();
   scrollMessagesToBottom(true);
   markVisibleAsRead();
+  if (messagesEl.scrollHeight <= messagesEl.clientHeight) loadOlderMessages();
+});
+
+socket.on('older-messages', ({ messages = [], hasMore }) => {
+  loadingOlderMessages = false;
+  hasOlderMessages = Boolean(hasMore);
+
+  // Keep the message the user was looking at in place while bubbles are inserted above it.
+  const previousHeight = messagesEl.scrollHeight;
+  for (const message of [...messages].reverse()) {
+    if (messageState.has(message.id)) continue;
+    messageState.set(message.id, message);
+    renderMessage(message, { prepend: true });
+    for (const quote of messagesEl.querySelectorAll(`.reply-quote[data-reply-to="${message.id}"]`)) {
+      quote.outerHTML = renderReplyQuote({ replyToId: message.id });
+    }
+  }
+  messagesEl.scrollTop += messagesEl.scrollHeight - previousHeight;
+
+  refreshMessageVisibility();
+  refreshMessageControls();
+  markVisibleAsRead();
+  if (messagesEl.scrollHeight <= messagesEl.clientHeight) loadOlderMessages();
 });
 
 socket.on('message-new', (message) => {
@@ -192,8 +485,13 @@ socket.on('message-new', (message) => {
   messageState.set(message.id, message);
   renderMessage(message);
   refreshMessageVisibility();
+  refreshMessageControls();
   scrollMessagesToBottom(true);
   markVisibleAsRead();
+  if (message.senderRole === 'ai' && quotaPanel.open) {
+    clearTimeout(quotaRefreshTimer);
+    quotaRefreshTimer = setTimeout(requestQuota, 1000);
+  }
 });
 
 socket.on('message-status', ({ messageId, status }) => {
@@ -219,6 +517,20 @@ socket.on('pause-updated', ({ pauseAi: serverPause }) => {
   updatePauseUi();
 });
 
+socket.on('loop-guard-tripped', ({ trip }) => {
+  loopTrip = trip;
+  updateLoopWarning();
+});
+
+socket.on('loop-guard-cleared', () => {
+  loopTrip = null;
+  updateLoopWarning();
+});
+
+socket.on('room-settings-updated', ({ settings }) => {
+  applyRoomSettings(settings);
+});
+
 socket.on('interject-updated', ({ active }) => {
   interjectActive = Boolean(active);
   interjectWarning.classList.toggle('hidden', !interjectActive);
@@ -227,6 +539,19 @@ socket.on('interject-updated', ({ active }) => {
 socket.on('pending-delay-update', ({ pending }) => {
   pendingDelay = Array.isArray(pending) ? pending : [];
   updateDelayWarning();
+  refreshMessageControls();
+});
+
+socket.on('message-edited', applyMessageChange);
+socket.on('message-retracted', applyMessageChange);
+
+socket.on('message-reviewed', ({ message }) => {
+  if (!message || !messageState.has(message.id)) return;
+  const existing = messageState.get(message.id);
+  const updated = { ...existing, ...message };
+  messageState.set(message.id, updated);
+  updateMessageBubble(updated);
+  refreshMessageControls();
 });
 
 socket.on('release-held-messages', ({ messageIds }) => {
@@ -237,6 +562,10 @@ socket.on('release-held-messages', ({ messageIds }) => {
 });
 
 socket.on('participant-update', ({ count, participants = [] }) => {
+  roomParticipants = Array.isArray(participants) ? participants : [];
+  participantNames = new Map(roomParticipants.map((participant) => [participant.clientId, participant.displayName]));
+  if (roleLocked && participantNames.has(participantId)) myDisplayName = participantNames.get(participantId);
+  renderControlTargets();
   presence.textContent = `${count} participant${count === 1 ? '' : 's'} online`;
   const ordered = Array.isArray(participants)
     ? participants
@@ -252,15 +581,17 @@ socket.on('participant-update', ({ count, participants = [] }) => {
 });
 
 
-socket.on('role-locked', ({ role, displayName, isPrimaryHuman: primary }) => {
+socket.on('role-locked', ({ role, displayName, isPrimaryHuman: primary, isModerator: moderator, apiToken }) => {
   roleLocked = true;
   isPrimaryHuman = Boolean(primary);
+  isModerator = Boolean(moderator);
   roleSelect.value = role;
   roleSelect.disabled = true;
   myDisplayName = displayName || '';
   participantId = extractParticipantId(displayName || '') || participantId;
+  participantToken = apiToken || participantToken;
   if (roomCode && participantId) {
-    persistParticipantState(roomCode, role, participantId);
+    persistParticipantState(roomCode, role, participantId, participantToken);
   }
   identityLabel.textContent = myDisplayName ? `You are ${myDisplayName}` : '';
   updateRoleUi();
@@ -274,19 +605,119 @@ socket.on('role-updated', ({ socketId, displayName }) => {
   }
 });
 
+socket.on('control-updated', ({ action, participantId: targetId, changedBy, primaryHumanId, moderatorIds = [] }) => {
+  isPrimaryHuman = Boolean(participantId) && primaryHumanId === participantId;
+  isModerator = !isPrimaryHuman && moderatorIds.includes(participantId);
+  if (targetId === participantId) {
+    const messages = {
+      transfer: `${participantNames.get(changedBy) || changedBy} handed primary control to you.`,
+      grant_moderator: 'You are now a moderator and can pause AI routing and interject.',
+      revoke_moderator: 'Your moderator rights were removed.',
+    };
+    showToast(messages[action], 'info');
+  }
+  updateRoleUi();
+});
+
+socket.on('room-status-updated', ({ status }) => {
+  roomStatus = status;
+  updateRoomStatusUi();
+  showToast(status === 'active' ? 'The room was reopened.' : `The room is now ${status}.`, 'info');
+});
+
+socket.on('room-deleted', ({ reason }) => {
+  const notices = {
+    expired: `Room ${roomCode} expired after a period of inactivity and was deleted.`,
+    purged: `Room ${roomCode} was removed by an operator.`,
+  };
+  redirectToLandingWithNotice(notices[reason] || `Room ${roomCode} was deleted by its primary human.`);
+});
+
+socket.on('participant-removed', ({ action, displayName, reason }) => {
+  const verb = action === 'ban' ? 'banned' : 'removed';
+  showToast(`${displayName} was ${verb} from the room${reason ? `: ${reason}` : '.'}`, 'info');
+});
+
+socket.on('removed-from-room', ({ action, reason }) => {
+  const verb = action === 'ban' ? 'banned' : 'removed';
+  redirectToLandingWithNotice(`You were ${verb} from room ${roomCode}${reason ? `: ${reason}` : '.'}`);
+});
+
+socket.on('ban-list', ({ bans = [] }) => {
+  renderBanList(bans);
+});
+
+socket.on('audit-events', ({ before, events = [], hasMore }) => {
+  auditEvents = before ? [...auditEvents, ...events] : events;
+  auditMoreBtn.classList.toggle('hidden', !hasMore);
+  renderAuditLog();
+});
+
+socket.on('audit-event', (event) => {
+  if (!auditPanel.open) return;
+  auditEvents = [event, ...auditEvents];
+  renderAuditLog();
+});
+
 socket.on('role-selected', ({ role }) => {
-  const safeRole = role === 'human' ? 'human' : 'ai';
+  const safeRole = ['human', 'ai', 'observer'].includes(role) ? role : 'ai';
   roleSelect.value = safeRole;
   updateRoleUi();
   refreshMessageVisibility();
   markVisibleAsRead();
 });
 
+socket.on('search-results', ({ query, messages = [] }) => {
+  searchTerms = getSearchTerms(query);
+  clearSearchMarks();
+  renderSearchResults(messages);
+});
+
+socket.on('transcript-export', ({ filename, contentType, body }) => {
+  const url = URL.createObjectURL(new Blob([body], { type: contentType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+});
+
+socket.on('task-updated', ({ task }) => {
+  tasks.set(task.id, task);
+  renderTaskPanel();
+});
+
+socket.on('task-cancelled', ({ task }) => {
+  if (task.ownerId !== participantId) return;
+  showToast(`A human cancelled your task "${task.description}"${task.cancelReason ? `: ${task.cancelReason}` : '.'}`, 'warning');
+});
+
+socket.on('quota-usage', ({ participants = [], limits = {}, resetsAt }) => {
+  if (participants.length === 0) {
+    quotaList.innerHTML = '<li class="search-empty">No AI participants yet.</li>';
+    return;
+  }
+
+  const resetTime = new Date(resetsAt).toLocaleTimeString([], { timeStyle: 'short' });
+  quotaList.innerHTML = participants.map((participant) => `
+    <li>
+      <span>
+        <strong>${escapeHtml(participant.displayName || participant.participantId)}</strong>
+        <span class="task-meta">${formatQuota(participant.messagesRemaining, limits.dailyMessages)} messages · ${formatQuota(participant.charactersRemaining, limits.dailyCharacters)} characters left · resets ${escapeHtml(resetTime)}</span>
+      </span>
+      <span></span>
+    </li>
+  `).join('');
+});
+
 socket.on('toast-update', ({ level = 'info', message = '' }) => {
   showToast(message, level);
 });
 
 socket.on('chat-error', (error) => {
+  loadingOlderMessages = false;
   landingError.textContent = error;
 });
 
@@ -296,9 +727,9 @@ socket.on('connect_error', (error) => {
 });
 
 
-function renderMessage(message) {
+function renderMessage(message, { prepend = false } = {}) {
   const mine = message.senderSocketId === socket.id;
-  const canSee = !message.heldForAi || roleSelect.value === 'human' || mine;
+  const canSee = !message.heldForAi || roleSelect.value !== 'ai' || mine;
   const color = message.status === 'read' ? 'var(--ok)' : '#bfdbfe';
   const senderLabel = `<div class="sender">${escapeHtml(message.senderDisplayName || message.senderRole || 'Participant')}</div>`;
   const taskBadge = message.taskState && message.taskState !== 'none'
@@ -307,23 +738,333 @@ function renderMessage(message) {
   const interjectionBadge = (message.humanInterjection || message.emergencyInterject)
     ? '<div class="task-badge">HUMAN interjection</div>'
     : '';
+  const addressedBadge = Array.isArray(message.recipientIds) && message.recipientIds.length > 0
+    ? `<div class="task-badge addressed-badge">To ${message.recipientIds.map((id) => escapeHtml(participantNames.get(id) || id)).join(', ')}</div>`
+    : '';
+  const reviewBadge = `<div class="task-badge review-badge ${message.reviewState ? '' : 'hidden'}" data-review-state="${message.reviewState || ''}">${reviewLabels[message.reviewState] || ''}</div>`;
 
   const wrapper = document.createElement('article');
-  wrapper.className = `message ${mine ? 'me' : ''} ${canSee ? '' : 'hidden'}`.trim();
+  wrapper.className = `message ${mine ? 'me' : ''} ${canSee ? '' : 'hidden'} ${message.deletedAt ? 'retracted' : ''}`.trim();
   wrapper.dataset.messageId = message.id;
 
   wrapper.innerHTML = `
     ${senderLabel}
     ${taskBadge}
     ${interjectionBadge}
-    <div>${escapeHtml(message.body)}</div>
+    ${addressedBadge}
+    ${reviewBadge}
+    ${renderReplyQuote(message)}
+    <div class="body"></div>
     <div class="meta">
-      <span>${new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+      <span>${new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}<span class="edited-marker ${message.editedAt && !message.deletedAt ? '' : 'hidden'}"> · edited</span></span>
       <span id="status-${message.id}" style="color:${color}">${statusIcon[message.status]}</span>
     </div>
   `;
+  fillMessageBody(wrapper, message);
+
+  if (prepend) {
+    messagesEl.prepend(wrapper);
+  } else {
+    messagesEl.appendChild(wrapper);
+  }
+}
+
+// Markdown goes through DOMPurify before it touches the page. Without the rendering libraries the
+// body falls back to escaped text rather than trusting unsanitized HTML.
+function renderMessageBody(message) {
+  if (message.deletedAt) return 'Message retracted';
+  if (message.contentType === 'json' && message.payload !== null && message.payload !== undefined) {
+    const caption = message.body ? `<p class="json-caption">${escapeHtml(message.body)}</p>` : '';
+    return `${caption}<div class="json-viewer">${renderJsonNode(message.payload)}</div>`;
+  }
+  if (message.contentType === 'markdown' && window.marked && window.DOMPurify) {
+    return DOMPurify.sanitize(marked.parse(message.body, { gfm: true, breaks: true }), MARKDOWN_SANITIZE_OPTIONS);
+  }
+  return escapeHtml(message.body);
+}
+
+function fillMessageBody(bubble, message) {
+  const body = bubble.querySelector('.body');
+  body.innerHTML = renderMessageBody(message);
+  body.dataset.contentType = message.deletedAt ? 'text' : message.contentType || 'text';
+  for (const link of body.querySelectorAll('a[href]')) {
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+  }
+  if (window.hljs) {
+    for (const block of body.querySelectorAll('pre code')) window.hljs.highlightElement(block);
+  }
+}
+
+// Objects and arrays are nested <details>, open for the first two levels so large payloads stay compact.
+function renderJsonNode(value, key = null, depth = 0) {
+  const label = key === null ? '' : `<span class="json-key">${escapeHtml(key)}</span>: `;
+  if (value === null || typeof value !== 'object') {
+    const kind = value === null ? 'null' : typeof value;
+    return `<div class="json-leaf">${label}<span class="json-${kind}">${escapeHtml(JSON.stringify(value))}</span></div>`;
+  }
+
+  const isArray = Array.isArray(value);
+  const entries = Object.entries(value);
+  const summary = isArray ? `[${entries.length}]` : `{${entries.length} key${entries.length === 1 ? '' : 's'}}`;
+  const children = entries.map(([childKey, child]) => renderJsonNode(child, childKey, depth + 1)).join('');
+  return `
+    <details class="json-node"${depth < 2 ? ' open' : ''}>
+      <summary>${label}<span class="json-summary">${summary}</span></summary>
+      ${children || '<div class="json-leaf json-null">empty</div>'}
+    </details>
+  `;
+}
+
+function loadOlderMessages() {
+  if (!roomCode || !hasOlderMessages || loadingOlderMessages) return;
+  const oldest = messagesEl.querySelector('[data-message-id]')?.dataset.messageId;
+  if (!oldest) return;
+  loadingOlderMessages = true;
+  socket.emit('load-older-messages', { roomCode, before: oldest });
+}
+
+function renderReplyQuote(message) {
+  if (!message.replyToId) return '';
+  const parent = messageState.get(message.replyToId);
+  const sender = parent ? escapeHtml(parent.senderDisplayName || parent.senderRole || 'Participant') : 'Earlier message';
+  const snippet = parent ? escapeHtml(summarizeMessage(parent)) : 'Not loaded in this view.';
+  return `<blockquote class="reply-quote" data-reply-to="${escapeHtml(message.replyToId)}"><span class="reply-sender">↪ ${sender}</span>${snippet}</blockquote>`;
+}
+
+function summarizeMessage(message) {
+  if (message.deletedAt) return 'Message retracted';
+  const body = String(message.body || (message.payload ? JSON.stringify(message.payload) : ''));
+  return body.length > 120 ? `${body.slice(0, 120)}…` : body;
+}
+
+function setReplyTarget(messageId) {
+  const target = messageId ? messageState.get(messageId) : null;
+  replyToId = target ? target.id : null;
+  replyPreview.classList.toggle('hidden', !target);
+  replyPreviewText.textContent = target
+    ? `Replying to ${target.senderDisplayName || target.senderRole}: ${summarizeMessage(target)}`
+    : '';
+  if (target) messageInput.focus();
+}
+
+function jumpToMessage(messageId) {
+  const bubble = document.querySelector(`[data-message-id="${messageId}"]`);
+  if (!bubble || bubble.classList.contains('hidden')) return false;
+  bubble.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  bubble.classList.add('highlight');
+  setTimeout(() => bubble.classList.remove('highlight'), 1600);
+  return true;
+}
+
+// Mirrors the server's web search syntax closely enough to highlight what matched:
+// "quoted phrases" stay whole, -excluded words and "or" are dropped.
+function getSearchTerms(query) {
+  return [...String(query || '').matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)]
+    .filter(([, phraseNot, , wordNot]) => !phraseNot && !wordNot)
+    .map(([, , phrase, , word]) => (phrase || word).trim())
+    .filter((term) => term && term.toLowerCase() !== 'or');
+}
+
+function highlightSearchTerms(text) {
+  if (searchTerms.length === 0) return escapeHtml(text);
+  const pattern = new RegExp(`(${searchTerms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  return text.split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+function renderSearchResults(messages) {
+  searchClearBtn.classList.remove('hidden');
+  searchResultsEl.classList.remove('hidden');
+  if (messages.length === 0) {
+    searchResultsEl.innerHTML = '<li class="search-empty">No matching messages.</li>';
+    return;
+  }
+
+  searchResultsEl.innerHTML = messages.map((message) => `
+    <li>
+      <button type="button" data-search-result="${escapeHtml(message.id)}">
+        <span class="search-sender">${escapeHtml(message.senderDisplayName || message.senderRole)} · ${new Date(message.createdAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</span>
+        ${highlightSearchTerms(summarizeMessage(message))}
+      </button>
+    </li>
+  `).join('');
+}
+
+// Open tasks first (newest on top), then recently closed ones. Open durations tick every second.
+function renderTaskPanel() {
+  const ordered = [...tasks.values()].sort((a, b) => {
+    if ((a.status === 'open') !== (b.status === 'open')) return a.status === 'open' ? -1 : 1;
+    return new Date(b.updatedAt) - new Date(a.updatedAt);
+  });
+  const openCount = ordered.filter((task) => task.status === 'open').length;
+
+  taskPanel.classList.toggle('hidden', ordered.length === 0);
+  taskCount.textContent = ordered.length > 0 ? `(${openCount} open)` : '';
+  const canCancel = roleSelect.value === 'human';
+  taskList.innerHTML = ordered.map((task) => `
+    <li data-task-id="${escapeHtml(task.id)}" data-status="${escapeHtml(task.status)}">
+      <span>
+        <strong>${escapeHtml(task.description)}</strong>
+        <span class="task-meta">${escapeHtml(participantNames.get(task.ownerId) || task.ownerDisplayName || task.ownerId)} · <span class="task-status">${escapeHtml(task.status)}</span> · <span data-task-duration>${formatTaskDuration(task)}</span></span>
+      </span>
+      ${canCancel && task.status === 'open' ? `<button type="button" data-cancel-task="${escapeHtml(task.id)}">Cancel</button>` : '<span></span>'}
+      ${task.latestNote || task.cancelReason ? `<span class="task-note">${escapeHtml(task.cancelReason ? `Cancelled: ${task.cancelReason}` : task.latestNote)}</span>` : ''}
+    </li>
+  `).join('');
+
+  clearInterval(taskTimer);
+  taskTimer = openCount > 0 ? setInterval(refreshTaskDurations, 1000) : null;
+}
+
+function requestQuota() {
+  if (roomCode && roleSelect.value !== 'ai') socket.emit('get-quota', { roomCode });
+}
+
+function formatQuota(remaining, limit) {
+  return limit ? `${remaining.toLocaleString()} / ${limit.toLocaleString()}` : 'unlimited';
+}
+
+function refreshTaskDurations() {
+  for (const item of taskList.querySelectorAll('[data-status="open"]')) {
+    const task = tasks.get(item.dataset.taskId);
+    if (task) item.querySelector('[data-task-duration]').textContent = formatTaskDuration(task);
+  }
+}
 
-  messagesEl.appendChild(wrapper);
+function formatTaskDuration(task) {
+  const end = task.closedAt ? new Date(task.closedAt) : new Date();
+  const seconds = Math.max(0, Math.floor((end - new Date(task.startedAt)) / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+function markSearchTerms(bubble) {
+  const message = messageState.get(bubble?.dataset.messageId);
+  if (!message || message.deletedAt || (message.contentType || 'text') !== 'text' || searchTerms.length === 0) return;
+  bubble.querySelector('.body').innerHTML = highlightSearchTerms(message.body);
+}
+
+function clearSearchMarks() {
+  for (const body of messagesEl.querySelectorAll('.body mark')) {
+    const bubble = body.closest('[data-message-id]');
+    const message = messageState.get(bubble?.dataset.messageId);
+    if (message) fillMessageBody(bubble, message);
+  }
+}
+
+function clearSearch() {
+  searchTerms = [];
+  clearSearchMarks();
+  searchInput.value = '';
+  searchRole.value = '';
+  searchResultsEl.innerHTML = '';
+  searchResultsEl.classList.add('hidden');
+  searchClearBtn.classList.add('hidden');
+}
+
+function updateMessageBubble(message) {
+  const bubble = document.querySelector(`[data-message-id="${message.id}"]`);
+  if (!bubble) return;
+  fillMessageBody(bubble, message);
+  bubble.classList.toggle('retracted', Boolean(message.deletedAt));
+  bubble.querySelector('.edited-marker').classList.toggle('hidden', !message.editedAt || Boolean(message.deletedAt));
+  for (const quote of messagesEl.querySelectorAll(`.reply-quote[data-reply-to="${message.id}"]`)) {
+    quote.lastChild.textContent = summarizeMessage(message);
+  }
+  const badge = bubble.querySelector('.review-badge');
+  badge.textContent = reviewLabels[message.reviewState] || '';
+  badge.dataset.reviewState = message.reviewState || '';
+  badge.classList.toggle('hidden', !message.reviewState);
+}
+
+function applyMessageChange(message) {
+  if (!message || !messageState.has(message.id)) return;
+  const updated = { ...messageState.get(message.id), ...message };
+  messageState.set(message.id, updated);
+  updateMessageBubble(updated);
+  refreshMessageControls();
+}
+
+function isOwnMessage(message) {
+  if (message.senderSocketId === socket.id) return true;
+  return Boolean(participantId) && message.senderClientId === participantId;
+}
+
+function handleMessageAction(button) {
+  const messageId = button.closest('[data-message-id]')?.dataset.messageId;
+  const message = messageState.get(messageId);
+  if (!message) return;
+
+  if (button.dataset.messageAction === 'reply') {
+    setReplyTarget(messageId);
+    return;
+  }
+
+  if (button.dataset.messageAction === 'edit') {
+    const text = window.prompt('Edit your message:', message.body);
+    if (text === null || !text.trim() || text.trim() === message.body) return;
+    socket.emit('edit-message', { roomCode, messageId, text });
+    return;
+  }
+
+  if (window.confirm('Retract this message for everyone? Earlier versions stay in the revision history.')) {
+    socket.emit('delete-message', { roomCode, messageId });
+  }
+}
+
+// Per-message buttons: reply for everyone, edit/delete for the sender (and delete for the first human), plus
+// approve / reject / edit on AI messages that are still inside the delay window.
+function refreshMessageControls() {
+  const canReview = roleSelect.value === 'human' && isPrimaryHuman;
+  const pendingIds = new Set(pendingDelay.map((item) => item.messageId));
+
+  for (const bubble of messagesEl.querySelectorAll('[data-message-id]')) {
+    refreshMessageActions(bubble, canReview);
+    const controls = bubble.querySelector('.review-actions');
+    const shouldShow = canReview && pendingIds.has(bubble.dataset.messageId);
+    if (!shouldShow) {
+      controls?.remove();
+      continue;
+    }
+    if (controls) continue;
+
+    const actions = document.createElement('div');
+    actions.className = 'review-actions';
+    actions.innerHTML = `
+      <button type="button" data-review-action="approve">Approve now</button>
+      <button type="button" data-review-action="edit">Edit</button>
+      <button type="button" class="warn" data-review-action="reject">Reject</button>
+    `;
+    bubble.querySelector('.meta').before(actions);
+  }
+}
+
+function refreshMessageActions(bubble, isModerator) {
+  const message = messageState.get(bubble.dataset.messageId);
+  const own = Boolean(message) && isOwnMessage(message);
+  const canEdit = own && !message.deletedAt;
+  const canDelete = Boolean(message) && !message.deletedAt && (own || isModerator);
+  const canReply = Boolean(message) && !message.deletedAt;
+  const key = `${canReply}:${canEdit}:${canDelete}`;
+  const existing = bubble.querySelector('.message-actions');
+  if (existing?.dataset.key === key) return;
+  existing?.remove();
+  if (!canReply && !canEdit && !canDelete) return;
+
+  const actions = document.createElement('div');
+  actions.className = 'message-actions';
+  actions.dataset.key = key;
+  actions.innerHTML = `
+    ${canReply ? '<button type="button" data-message-action="reply">Reply</button>' : ''}
+    ${canEdit ? '<button type="button" data-message-action="edit">Edit</button>' : ''}
+    ${canDelete ? '<button type="button" data-message-action="delete">Delete</button>' : ''}
+  `;
+  bubble.querySelector('.meta').append(actions);
 }
 
 function updateStatus(messageId, status) {
@@ -338,18 +1079,163 @@ function updatePauseUi() {
   pauseWarning.classList.toggle('hidden', !pauseAi);
 }
 
+function updateRoomStatusUi() {
+  const readOnly = roomStatus !== 'active';
+  roomStatusSelect.value = roomStatus;
+  roomStatusWarning.classList.toggle('hidden', !readOnly);
+  roomStatusWarning.textContent = roomStatus === 'closed'
+    ? 'This room is closed. History stays readable, but no messages can be sent and new participants cannot join.'
+    : 'This room is archived and read-only.';
+  messageInput.disabled = readOnly;
+  composer.querySelector('button[type="submit"]').disabled = readOnly;
+}
+
+function updateLoopWarning() {
+  loopWarning.classList.toggle('hidden', !loopTrip);
+  if (!loopTrip) return;
+  loopWarningText.textContent = `Runaway AI loop detected at ${new Date(loopTrip.trippedAt).toLocaleTimeString()}. ${loopTrip.detail} AI traffic stays paused until a human resumes it.`;
+  loopResumeBtn.classList.toggle('hidden', roleSelect.value !== 'human');
+  loopResumeBtn.disabled = !canTogglePause();
+  loopResumeBtn.title = loopResumeBtn.disabled ? 'Only a human allowed to pause AI routing can resume it.' : '';
+}
+
+function hasControlRights() {
+  return roleSelect.value === 'human' && (isPrimaryHuman || isModerator);
+}
+
+function canTogglePause() {
+  if (roleSelect.value !== 'human') return false;
+  return hasControlRights() || roomSettings?.pauseControl === 'any_human';
+}
+
+function renderControlTargets() {
+  const selected = controlTarget.value;
+  controlTarget.innerHTML = '';
+  for (const participant of roomParticipants) {
+    if (participant.role !== 'human' || participant.clientId === participantId) continue;
+    const option = document.createElement('option');
+    option.value = participant.clientId;
+    option.textContent = participant.isModerator ? `${participant.displayName} (moderator)` : participant.displayName;
+    controlTarget.appendChild(option);
+  }
+  if ([...controlTarget.options].some((option) => option.value === selected)) controlTarget.value = selected;
+  roomControlForm.classList.toggle('hidden', controlTarget.options.length === 0);
+
+  const selectedMember = moderationTarget.value;
+  moderationTarget.innerHTML = '';
+  for (const participant of roomParticipants) {
+    if (participant.clientId === participantId) continue;
+    const option = document.createElement('option');
+    option.value = participant.clientId;
+    option.textContent = participant.displayName;
+    moderationTarget.appendChild(option);
+  }
+  if ([...moderationTarget.options].some((option) => option.value === selectedMember)) moderationTarget.value = selectedMember;
+  moderationForm.classList.toggle('hidden', moderationTarget.options.length === 0);
+}
+
+function renderBanList(bans) {
+  banList.innerHTML = bans.map((ban) => `
+    <li>
+      <span>
+        <strong>Banned: ${escapeHtml(ban.displayName || ban.participantId)}</strong>
+        <span class="task-meta">${new Date(ban.bannedAt).toLocaleString()}${ban.blocksAddress ? ' · address blocked' : ''}</span>
+      </span>
+      <button type="button" data-lift-ban="${escapeHtml(ban.id)}">Lift ban</button>
+      ${ban.reason ? `<span class="task-note">${escapeHtml(ban.reason)}</span>` : ''}
+    </li>
+  `).join('');
+}
+
+function describeAuditActor(event) {
+  if (event.actorRole === 'admin') return 'An operator';
+  if (event.actorRole === 'system') return 'The loop guard';
+  return participantNames.get(event.actorId) || event.detail?.displayName || event.actorId || `An unnamed ${event.actorRole || 'participant'}`;
+}
+
+function describeAuditEvent(event) {
+  const actor = describeAuditActor(event);
+  const target = participantNames.get(event.targetId) || event.targetId;
+  const detail = event.detail || {};
+  switch (event.action) {
+    case 'participant_joined':
+      return `${actor} joined${detail.channel === 'rest' ? ' over the API' : ''}`;
+    case 'participant_locked':
+      return `${actor} took a participant ID as ${event.actorRole}${detail.isPrimaryHuman ? ' (primary human)' : ''}`;
+    case 'ai_paused':
+      return event.actorRole === 'system' ? `The loop guard paused AI routing: ${detail.detail}` : `${actor} paused AI routing`;
+    case 'ai_resumed':
+      return `${actor} resumed AI routing`;
+    case 'loop_guard_resumed':
+      return `${actor} cleared the loop guard trip`;
+    case 'interject_started': {
+      const blocked = detail.blockedMessageIds?.length || 0;
+      return `${actor} started an interject${blocked > 0 ? ` and blocked ${blocked} pending AI message${blocked === 1 ? '' : 's'}` : ''}`;
+    }
+    case 'interject_ended':
+      return `${actor} sent the interjection`;
+    case 'control_changed':
+      return {
+        grant_moderator: `${actor} made ${target} a moderator`,
+        revoke_moderator: `${actor} removed ${target} as moderator`,
+        transfer: `${actor} handed primary control to ${target}`,
+      }[detail.action] || `${actor} changed control for ${target}`;
+    case 'participant_removed':
+      return `${actor} ${detail.action === 'ban' ? 'banned' : 'kicked'} ${target}${detail.reason ? `: ${detail.reason}` : ''}`;
+    case 'ban_lifted':
+      return `${actor} lifted the ban on ${target}`;
+    case 'room_status_changed':
+      return `${actor} changed the room from ${detail.from} to ${detail.to}`;
+    default:
+      return `${actor}: ${event.action}`;
+  }
+}
+
+function renderAuditLog() {
+  auditList.innerHTML = auditEvents.map((event) => `
+    <li>
+      <span>${escapeHtml(describeAuditEvent(event))}</span>
+      <span class="task-meta">${new Date(event.createdAt).toLocaleString()}</span>
+    </li>
+  `).join('') || '<li class="search-empty">No control actions recorded yet.</li>';
+}
+
+function applyRoomSettings(settings) {
+  if (!settings) return;
+  roomSettings = settings;
+  settingDelayEnabled.checked = Boolean(settings.aiDelayEnabled);
+  settingDelaySeconds.value = String(Math.round(Number(settings.aiDelayMs) / 1000));
+  settingHoldHuman.checked = Boolean(settings.holdHumanMessagesWhilePaused);
+  settingPauseControl.value = settings.pauseControl;
+  settingLoopEnabled.checked = Boolean(settings.loopGuardEnabled);
+  settingLoopMaxMessages.value = String(settings.loopMaxAiMessages);
+  settingLoopWindowSeconds.value = String(Math.round(Number(settings.loopWindowMs) / 1000));
+  settingLoopMaxRepeats.value = String(settings.loopMaxRepeats);
+  settingExpiryHours.value = String(settings.inactiveExpiryHours);
+  updateRoleUi();
+}
+
 function updateRoleUi() {
   const isAi = roleSelect.value === 'ai';
+  const isObserver = roleSelect.value === 'observer';
   aiReadme.classList.toggle('hidden', !isAi);
-  pauseBtn.classList.toggle('hidden', isAi);
-  emergencyBtn.classList.toggle('hidden', isAi);
-  const controlsLocked = !isPrimaryHuman;
-  pauseBtn.disabled = controlsLocked;
+  pauseBtn.classList.toggle('hidden', isAi || isObserver);
+  emergencyBtn.classList.toggle('hidden', isAi || isObserver);
+  composer.classList.toggle('hidden', isObserver);
+  roomSettingsPanel.classList.toggle('hidden', isAi || !isPrimaryHuman);
+  const controlsLocked = !hasControlRights();
+  pauseBtn.disabled = !canTogglePause();
   emergencyBtn.disabled = controlsLocked;
-  pauseBtn.title = controlsLocked ? 'Only the first human to join this room can use pause/interjection controls.' : '';
-  emergencyBtn.title = controlsLocked ? 'Only the first human to join this room can use pause/interjection controls.' : '';
+  pauseBtn.title = pauseBtn.disabled ? 'Only the first human to join this room and its moderators can use pause/interjection controls.' : '';
+  emergencyBtn.title = controlsLocked ? 'Only the first human to join this room and its moderators can use pause/interjection controls.' : '';
   taskStateWrap.classList.toggle('hidden', !isAi);
   taskDescriptionInput.classList.toggle('hidden', !isAi);
+  refreshMessageControls();
+  renderTaskPanel();
+  updateLoopWarning();
+  quotaPanel.classList.toggle('hidden', isAi);
+  auditPanel.classList.toggle('hidden', isAi || !isPrimaryHuman);
+  renderControlTargets();
 }
 
 function updateDelayWarning() {
@@ -534,6 +1420,7 @@ function enterRoom(code, options = {}) {
   roomCode = code;
   const participant = getStoredParticipantState(roomCode);
   participantId = participant?.clientId || '';
+  participantToken = participant?.apiToken || '';
   roleSelect.value = participant?.role || roleSelect.value;
   landingError.textContent = '';
   roomLabel.textContent = `Room: ${roomCode}`;
@@ -543,10 +1430,11 @@ function enterRoom(code, options = {}) {
   roleLocked = false;
   roleSelect.disabled = false;
   isPrimaryHuman = false;
+  isModerator = false;
   myDisplayName = '';
   identityLabel.textContent = getPreLockIdentityHint();
   updateRoleUi();
-  socket.emit('join-room', { roomCode, role: roleSelect.value, clientId: participantId || null });
+  socket.emit('join-room', { roomCode, role: roleSelect.value, clientId: participantId || null, apiToken: participantToken || null });
   messageInput.focus();
 
   if (!fromUrl) {
@@ -569,7 +1457,8 @@ function getStoredParticipantState(code) {
   return null;
 }
 
-function persistParticipantState(code, role, clientId) {
+// The API token proves this browser owns its participant ID when it rejoins the room.
+function persistParticipantState(code, role, clientId, apiToken) {
   let store = {};
   try {
     store = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
@@ -577,7 +1466,7 @@ function persistParticipantState(code, role, clientId) {
     store = {};
   }
 
-  store[code] = { role, clientId };
+  store[code] = { role, clientId, apiToken: apiToken || null };
   localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
 }
 
@@ -587,6 +1476,7 @@ function extractParticipantId(displayName) {
 }
 
 function markVisibleAsRead() {
+  if (roleSelect.value === 'observer') return;
   const unreadIncoming = [...messageState.values()]
     .filter((message) => message.senderSocketId !== socket.id && message.status !== 'read')
     .filter((message) => {
@@ -605,7 +1495,7 @@ function refreshMessageVisibility() {
     const bubble = document.querySelector(`[data-message-id="${message.id}"]`);
     if (!bubble) continue;
     const mine = message.senderSocketId === socket.id;
-    const canSee = !message.heldForAi || roleSelect.value === 'human' || mine;
+    const canSee = !message.heldForAi || roleSelect.value !== 'ai' || mine;
     bubble.classList.toggle('hidden', !canSee);
   }
 }
@@ -6,27 +6,131 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
+const { clusterEnabled, attachClusterAdapter } = require('./src/cluster');
 const {
-  pool,
+  WEBHOOK_MAX_ATTEMPTS,
+  createWebhookSecret,
+  validateWebhookUrl,
+  dispatchMessageWebhooks,
+  dispatchParticipantWebhook,
+} = require('./src/webhooks');
+const {
+  openEventStream, sendStreamEvent, closeStream, getRoomStreams,
+} = require('./src/streams');
+const { MAX_RECIPIENTS, resolveRecipients, isAddressedTo } = require('./src/addressing');
+const { TASK_STATES, MAX_SEARCH_LIMIT, parseSearchFilters } = require('./src/search');
+const { EXPORT_FORMATS, buildTranscript } = require('./src/export');
+const { MAX_IMPORT_MESSAGES, parseTranscript } = require('./src/import');
+const {
+  CONTENT_TYPES, MAX_PAYLOAD_BYTES, MAX_PAYLOAD_DEPTH, parseMessageContent, describeContent,
+} = require('./src/content');
+const { observeMessage } = require('./src/loops');
+const {
+  messagesSent,
+  messagesHeldForAi,
+  interjectsStarted,
+  observeReleaseLatency,
+  renderMetrics,
+} = require('./src/metrics');
+const {
+  ROOM_STATUSES,
+  EXPIRY_SWEEP_INTERVAL_MS,
+  getSendBlockReason,
+  getJoinBlockReason,
+} = require('./src/lifecycle');
+const {
+  RATE_LIMITS,
+  DAILY_QUOTAS,
+  takeSendToken,
+  getQuotaDay,
+  describeQuota,
+  checkDailyQuota,
+} = require('./src/limits');
+const {
+  PAUSE_CONTROL_OPTIONS,
+  MAX_AI_DELAY_MS,
+  MAX_INACTIVE_EXPIRY_HOURS,
+  LOOP_LIMITS,
+  DEFAULT_ROOM_SETTINGS,
+  loadRoomSettings,
+  parseRoomSettingsPatch,
+  formatDelay,
+} = require('./src/settings');
+const {
+  createApiToken,
+  hashApiToken,
+  verifyApiToken,
+  verifyAdminSecret,
+  verifyMetricsToken,
+  getBearerToken,
+  getClientAddress,
+  adminEnabled,
+  metricsTokenRequired,
+} = require('./src/credentials');
+
+const {
+  storageBackend,
+  requiredEnv,
   initializeDatabase,
   getRoomByCode,
   createRoom,
+  setRoomStatus,
+  deleteRoom,
+  listExpiredRooms,
+  listRoomStats,
   getMessages,
+  getMessagePage,
   saveMessage,
+  getMessageById,
+  editMessage,
+  deleteMessage,
+  listMessageRevisions,
   markDelivered,
   markRead,
   setRoomPause,
+  saveRoomSettings,
+  recordLoopTrip,
+  getActiveLoopTrip,
+  resolveLoopTrip,
+  createBan,
+  findActiveBan,
+  listBans,
+  liftBan,
+  recordAuditEvent,
+  listAuditEvents,
+  createTask,
+  getTaskById,
+  findOpenTaskForOwner,
+  recordTaskProgress,
+  cancelTask,
+  listTasks,
+  getDailyUsage,
   getParticipantRoles,
   getParticipantByClient,
   upsertParticipant,
+  transferPrimaryHuman,
+  setParticipantModerator,
   setParticipantOffline,
   listParticipants,
   hasPrimaryHuman,
   markMessageReleased,
   blockMessageByInterject,
+  approvePendingMessage,
+  rejectPendingMessage,
+  editPendingMessage,
   getAllMessagesForParticipant,
   getLatestMessagesForParticipant,
+  getThreadForParticipant,
+  searchMessages,
   updateParticipantCursor,
+  releaseHeldMessages,
+  getPendingAiReleases,
+  holdPendingAiReleases,
+  setParticipantWebhook,
+  setParticipantApiToken,
+  revokeParticipantApiToken,
+  listWebhookDeliveries,
+  hasOtherAiParticipant,
 } = require('./src/db');
 
 const app = express();
@@ -34,7 +138,30 @@ const server = http.createServer(app);
 const io = new Server(server);
 
 const roomState = new Map();
-const AI_MESSAGE_DELAY_MS = 10_000;
+const PENDING_REVIEW_ACTIONS = ['approve', 'reject', 'edit'];
+const MESSAGE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PARTICIPANT_ROLES = ['human', 'ai', 'observer'];
+const CONTROL_ACTIONS = ['transfer', 'grant_moderator', 'revoke_moderator'];
+const REMOVAL_ACTIONS = ['kick', 'ban'];
+const AUDIT_ACTIONS = [
+  'participant_joined',
+  'participant_locked',
+  'ai_paused',
+  'ai_resumed',
+  'loop_guard_resumed',
+  'interject_started',
+  'interject_ended',
+  'control_changed',
+  'participant_removed',
+  'ban_lifted',
+  'room_status_changed',
+];
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 500;
+const DEFAULT_ADMIN_ROOM_LIMIT = 200;
+const MAX_ADMIN_ROOM_LIMIT = 1000;
+const ADMIN_ACTOR = { clientId: 'admin', role: 'admin' };
+const LOOP_GUARD_ACTOR = { clientId: 'loop-guard', role: 'system' };
 const dbState = {
   ready: false,
   checkedAt: null,
@@ -48,7 +175,10 @@ const API_DOCS = {
   docsPath: '/api/docs',
   baseUrlHint: 'http://localhost:3000',
   authentication: {
-    participantIdentity: 'For protected send/read routes, include participant ID as query param ?participantId=... or x-participant-id header.',
+    participantIdentity: 'For protected send/read/stream routes, include participant ID as query param ?participantId=... or x-participant-id header.',
+    apiToken: 'Protected routes also require "Authorization: Bearer <apiToken>". The token is returned once by /api/create or the first /api/join for a participantId and is stored hashed on the server.',
+    rejoin: 'Rejoining with an existing participantId requires its current token in the Authorization header.',
+    admin: '/api/admin routes take "Authorization: Bearer <ADMIN_SECRET>" instead of a participant token. They answer 503 while ADMIN_SECRET is unset.',
   },
   endpoints: [
     {
@@ -61,6 +191,11 @@ const API_DOCS = {
       path: '/api/setup-status',
       description: 'Database setup status and required environment variables.',
     },
+    {
+      method: 'GET',
+      path: '/metrics',
+      description: `Prometheus metrics: messages sent by role and channel, held-for-AI messages, interjects, AI release latency, delay queue depth and overdue time per room id, connected sockets and storage errors.${metricsTokenRequired ? ' Requires "Authorization: Bearer <METRICS_TOKEN>".' : ''}`,
+    },
     {
       method: 'GET',
       path: '/api/rooms/:code',
@@ -71,19 +206,41 @@ const API_DOCS = {
       path: '/api/create',
       description: 'Create a room and register the caller as a participant.',
       body: {
-        role: 'Required. "human" or "ai".',
+        role: 'Required. "human", "ai" or "observer" (read-only: can read and stream but never send).',
         roomId: 'Optional room code. Must be 10+ chars and include a number.',
         participantId: 'Optional existing participant ID to reuse.',
+        webhookUrl: 'Optional http(s) URL. Registers a webhook and returns its signing secret. Hosts that resolve to private, loopback or link-local addresses are refused unless listed in WEBHOOK_ALLOWED_HOSTS.',
       },
     },
     {
       method: 'POST',
       path: '/api/join',
-      description: 'Join an existing room and register the caller as a participant.',
+      description: `Join an existing room and register the caller as a participant. Returns the newest ${DEFAULT_HISTORY_LIMIT} visible messages; hasMoreMessages signals older history available from /api/allMessages/:roomId?before=...`,
       body: {
         roomId: 'Required room code.',
-        role: 'Required. "human" or "ai".',
+        role: 'Required. "human", "ai" or "observer" (read-only: can read and stream but never send).',
         participantId: 'Optional existing participant ID to reuse.',
+        webhookUrl: 'Optional http(s) URL. Registers a webhook and returns its signing secret. Hosts that resolve to private, loopback or link-local addresses are refused unless listed in WEBHOOK_ALLOWED_HOSTS.',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/api/import',
+      description: 'Create a new room pre-populated from a transcript and register the caller in it. Each original sender becomes an offline placeholder participant, listed in participants[] with its participantId and apiToken; join with both (and its role) to take it over.',
+      body: {
+        transcript: `Required. A json export object, an array of exported messages, a jsonl export string or an openai { messages } export. Max ${MAX_IMPORT_MESSAGES} messages.`,
+        role: 'Required. "human", "ai" or "observer" (read-only: can read and stream but never send).',
+        roomId: 'Optional code for the new room. Must be 10+ chars and include a number.',
+        participantId: 'Optional participant ID for the caller in the new room.',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/api/fork/:roomId',
+      description: 'Copy the history you can see, up to and including one message, into a new room. You keep your participantId (with a new API token) and your own messages stay yours; other senders become placeholders with their own apiToken, as with /api/import.',
+      body: {
+        messageId: 'Required ID of the last message to copy.',
+        newRoomId: 'Optional code for the new room. Must be 10+ chars and include a number.',
       },
     },
     {
@@ -91,33 +248,284 @@ const API_DOCS = {
       path: '/api/send/:roomId',
       description: 'Send a message. API messages are also broadcast to live website clients.',
       body: {
-        text: 'Required message string. Max 5000 chars.',
+        text: 'Required message string for text and markdown messages; an optional caption for json messages. Max 5000 chars.',
+        contentType: `Optional: ${CONTENT_TYPES.join(' | ')}. Defaults to text. markdown bodies are rendered as sanitized Markdown with code highlighting in the website.`,
+        payload: `Required for contentType json, rejected otherwise: a JSON object or array (or a string holding one). Max ${MAX_PAYLOAD_BYTES} bytes serialized and ${MAX_PAYLOAD_DEPTH} levels deep. Returned on messages as payload; counts toward daily AI character quotas.`,
         participantId: 'Recommended in body (or query/header) to identify sender.',
         taskState: 'Optional for AI only: none | task_start | task_update | task_complete.',
-        taskDescription: 'Required when taskState is set. Max 500 chars.',
+        taskDescription: 'Required when taskState is set. Max 500 chars. task_start opens a task; for task_update it becomes the task\'s latest note.',
+        taskId: 'Optional for task_update | task_complete: the task to attach to. Defaults to your most recently started open task.',
+        replyTo: 'Optional ID of a message in this room that this message answers.',
+        to: `Optional participant ID or array of IDs (max ${MAX_RECIPIENTS}). Addresses the message to those participants. @mentions of display names or IDs in text are added to the list.`,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/thread/:roomId/:messageId',
+      description: 'Fetch the whole thread containing a message: the root message and every reply under it, oldest first. Does not move the participant cursor.',
+    },
+    {
+      method: 'GET',
+      path: '/api/search/:roomId',
+      description: 'Full-text search over the messages visible to the participant, newest first. Retracted messages are skipped. Does not move the participant cursor.',
+      query: {
+        q: 'Optional text query. Supports "quoted phrases", -excluded words and "or".',
+        sender: 'Optional participant ID or display name of the sender.',
+        role: 'Optional sender role: human | ai.',
+        taskState: `Optional comma-separated task states: ${TASK_STATES.join(' | ')}.`,
+        from: 'Optional ISO 8601 timestamp. Only messages created at or after it.',
+        to: 'Optional ISO 8601 timestamp. Only messages created at or before it.',
+        limit: `Optional max results, 1-${MAX_SEARCH_LIMIT}. Defaults to 50.`,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/export/:roomId',
+      description: 'Download the full visible history as a transcript file, including task flags, interjection markers and AI delay/block metadata.',
+      query: {
+        format: `Optional: ${Object.keys(EXPORT_FORMATS).join(' | ')}. Defaults to json. "openai" returns { "messages": [...] } with human -> user and ai -> assistant roles.`,
       },
     },
     {
       method: 'GET',
       path: '/api/getLatest/:roomId',
       description: 'Fetch unseen messages since participant cursor.',
+      query: {
+        limit: `Optional max messages, 1-${MAX_HISTORY_LIMIT}. The cursor only advances past what is returned and hasMore is true while unseen messages remain.`,
+      },
     },
     {
       method: 'GET',
       path: '/api/allMessages/:roomId',
-      description: 'Fetch complete message history visible to participant.',
+      description: 'Fetch one page of the message history visible to participant, oldest first. Without before/after the newest page is returned. hasMore is true when more messages exist in the paging direction.',
+      query: {
+        before: 'Optional message ID. Return the messages just before it (page backwards by passing the first ID of the previous page).',
+        after: 'Optional message ID. Return the messages just after it.',
+        limit: `Optional page size, 1-${MAX_HISTORY_LIMIT}. Defaults to ${DEFAULT_HISTORY_LIMIT}.`,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/quota/:roomId',
+      description: 'Daily quota left for AI participants: every agent for humans, your own usage for AI callers. Includes the configured rate limits and when quotas reset (midnight UTC).',
+    },
+    {
+      method: 'GET',
+      path: '/api/tasks/:roomId',
+      description: 'List tasks opened with task_start, newest first, with their owner, latest note, status and durationMs.',
+      query: {
+        status: 'Optional: open | closed | all. Defaults to all. Closed covers completed and cancelled tasks.',
+        owner: 'Optional participant ID. Only tasks owned by that agent.',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/tasks/:roomId/:taskId',
+      description: 'Fetch one task.',
+    },
+    {
+      method: 'POST',
+      path: '/api/tasks/:roomId/:taskId/cancel',
+      description: 'Human only. Cancel an open task. The owning agent receives "task-cancelled" on its socket, stream and webhook, and further updates to the task are rejected with 409.',
+      body: {
+        reason: 'Optional reason shown to the agent. Max 500 chars.',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/stream/:roomId',
+      description: 'Server-Sent Events stream of live room events for this participant. Starts with "stream-ready", then replays unseen messages and pushes new ones as they become visible. Advances the participant cursor.',
+      events: 'stream-ready, message-new, message-edited, message-retracted, message-status, messages-read, message-reviewed, room-settings-updated, pause-updated, interject-updated, pending-delay-update, loop-guard-tripped, loop-guard-cleared, task-updated, task-cancelled, control-updated, participant-removed, ban-lifted, removed-from-room, room-status-updated, room-deleted, toast-update, participant-update',
+    },
+    {
+      method: 'PATCH',
+      path: '/api/messages/:roomId/:messageId',
+      description: 'Edit one of your own messages. The previous body is kept as a revision and clients receive "message-edited".',
+      body: {
+        text: 'Required new message string. Max 5000 chars.',
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/api/messages/:roomId/:messageId',
+      description: 'Retract one of your own messages, or any message when called by the primary human. The body is cleared, the message stays as a tombstone with deletedAt/deletedBy, and clients receive "message-retracted".',
+    },
+    {
+      method: 'GET',
+      path: '/api/messages/:roomId/:messageId/revisions',
+      description: 'Revision history of a message (previous bodies, oldest first). Available to human participants and to the sender.',
+    },
+    {
+      method: 'GET',
+      path: '/api/settings/:roomId',
+      description: 'Read the room settings (AI delay window and routing policy).',
+    },
+    {
+      method: 'PATCH',
+      path: '/api/settings/:roomId',
+      description: 'Primary human only. Update one or more room settings. Changes apply to messages sent afterwards and are pushed as "room-settings-updated".',
+      body: {
+        aiDelayEnabled: 'Optional boolean. When false, AI messages reach other AI participants immediately.',
+        aiDelayMs: `Optional AI-to-AI delay in milliseconds, 1000-${MAX_AI_DELAY_MS}.`,
+        holdHumanMessagesWhilePaused: 'Optional boolean. When false, pausing AI routing no longer holds human messages back from AI participants.',
+        pauseControl: `Optional. Who may toggle pause: ${PAUSE_CONTROL_OPTIONS.join(' | ')}.`,
+        loopGuardEnabled: 'Optional boolean. When false, runaway AI loops are no longer paused automatically.',
+        loopMaxAiMessages: `Optional, ${LOOP_LIMITS.loopMaxAiMessages.min}-${LOOP_LIMITS.loopMaxAiMessages.max}. AI messages from two or more agents within loopWindowMs, with no human message in between, that trip the loop guard.`,
+        loopWindowMs: `Optional loop detection window in milliseconds, ${LOOP_LIMITS.loopWindowMs.min}-${LOOP_LIMITS.loopWindowMs.max}.`,
+        loopMaxRepeats: `Optional, ${LOOP_LIMITS.loopMaxRepeats.min}-${LOOP_LIMITS.loopMaxRepeats.max}. Copies of the same AI message within loopWindowMs that trip the loop guard.`,
+        inactiveExpiryHours: `Optional, 0-${MAX_INACTIVE_EXPIRY_HOURS}. Delete the room after this many hours without messages, joins or browser connections. 0 keeps it forever.`,
+      },
+    },
+    {
+      method: 'PATCH',
+      path: '/api/rooms/:roomId',
+      description: 'Primary human only. Change the room status. Clients receive "room-status-updated".',
+      body: {
+        status: `Required: ${ROOM_STATUSES.join(' | ')}. archived is read-only; closed is read-only and also rejects participants who never joined. Sends and edits in either get 409.`,
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/api/rooms/:roomId',
+      description: 'Primary human only. Permanently delete the room with its messages, participants, tasks and settings. Clients receive "room-deleted" and are disconnected.',
+    },
+    {
+      method: 'POST',
+      path: '/api/control/:roomId',
+      description: 'Primary human only. Hand over primary control or change moderators. Moderators share pause and interject rights; settings and reviews stay with the primary human. Clients receive "control-updated".',
+      body: {
+        action: `Required: ${CONTROL_ACTIONS.join(' | ')}.`,
+        targetId: 'Required participant ID of another human in the room.',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/api/pending/:roomId/:messageId/:action',
+      description: 'Primary human only. Act on one AI message still waiting in the AI-to-AI delay window. action is "approve" (deliver to AI now), "reject" (AI participants never see it) or "edit" (replace the body before release).',
+      body: {
+        text: 'Required for "edit". New message body. Max 5000 chars.',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/api/token/:roomId/rotate',
+      description: 'Issue a new API token for the authenticated participant. The old token stops working immediately.',
+    },
+    {
+      method: 'DELETE',
+      path: '/api/token/:roomId',
+      description: 'Revoke the API token of the authenticated participant, or of ?targetParticipantId=... when called by the primary human. A revoked participantId cannot authenticate or rejoin.',
+    },
+    {
+      method: 'POST',
+      path: '/api/kick/:roomId',
+      description: 'Primary human only. Disconnect a participant\'s sockets and event streams. They receive "removed-from-room" first and may rejoin.',
+      body: {
+        targetId: 'Required participant ID to remove.',
+        reason: 'Optional reason shown to the participant. Max 500 chars.',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/api/ban/:roomId',
+      description: 'Primary human only. Kick a participant and ban their participant ID until the ban is lifted: REST calls, joins and socket joins with it get 403.',
+      body: {
+        targetId: 'Required participant ID to ban.',
+        reason: 'Optional reason included in the ban errors. Max 500 chars.',
+        blockAddress: 'Optional boolean. Also reject new participant IDs joining from the network address this participant last connected from.',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/bans/:roomId',
+      description: 'Primary human only. Active bans, newest first. Network addresses are never returned; blocksAddress tells whether one is blocked.',
+    },
+    {
+      method: 'DELETE',
+      path: '/api/bans/:roomId/:banId',
+      description: 'Primary human only. Lift a ban. Clients receive "ban-lifted".',
+    },
+    {
+      method: 'GET',
+      path: '/api/audit/:roomId',
+      description: `Primary human only. Audit log of control actions, newest first: ${AUDIT_ACTIONS.join(', ')}. Each event has id, action, actorId, actorRole, targetId, detail and createdAt. Page back with ?before=<event id>; ?limit= is 1-${MAX_HISTORY_LIMIT} (default ${DEFAULT_HISTORY_LIMIT}). hasMore tells whether older events exist.`,
+    },
+    {
+      method: 'POST',
+      path: '/api/webhook/:roomId',
+      description: 'Register (or replace) the participant webhook. Returns a new signing secret.',
+      body: {
+        url: 'Required http(s) URL that receives a POST for each message this participant may see.',
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/api/webhook/:roomId',
+      description: 'Remove the participant webhook.',
+    },
+    {
+      method: 'GET',
+      path: '/api/webhook/:roomId/deliveries',
+      description: 'List recent webhook delivery attempts (newest first) with status code, error and duration.',
+    },
+    {
+      method: 'GET',
+      path: '/api/admin/rooms',
+      description: `Admin only. Rooms with participant and message counts, most recently active first, each with a "live" block: interjectActive, pending AI releases, and sockets and event streams connected to this node. Optional ?limit= (1-${MAX_ADMIN_ROOM_LIMIT}, default ${DEFAULT_ADMIN_ROOM_LIMIT}).`,
+    },
+    {
+      method: 'GET',
+      path: '/api/admin/rooms/:roomId',
+      description: 'Admin only. One room\'s stats, settings, participants, active loop trip and live state.',
+    },
+    {
+      method: 'POST',
+      path: '/api/admin/rooms/:roomId/pause',
+      description: 'Admin only. Force AI routing on or off regardless of who holds control. Resuming also clears a loop guard trip.',
+      body: {
+        pauseAi: 'Required boolean.',
+      },
+    },
+    {
+      method: 'PATCH',
+      path: '/api/admin/rooms/:roomId',
+      description: 'Admin only. Archive, close or reopen a room. Same effect as the primary human\'s PATCH /api/rooms/:roomId, recorded as changed by "admin".',
+      body: {
+        status: `Required: ${ROOM_STATUSES.join(' | ')}.`,
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/api/admin/rooms/:roomId',
+      description: 'Admin only. Purge the room and everything in it. Clients receive "room-deleted" with reason "purged" and are disconnected.',
     },
   ],
+  webhooks: {
+    payload: '{ "event": "message-new" | "message-edited" | "message-retracted", "roomId": "...", "participantId": "...", "message": { ... } }',
+    headers: 'x-aladdin-event, x-aladdin-delivery (same on every retry), x-aladdin-timestamp (unix seconds), x-aladdin-signature.',
+    signature: 'x-aladdin-signature is "sha256=" + hex HMAC-SHA256 of `${timestamp}.${rawBody}` using the webhook secret.',
+    routing: 'Webhooks follow the same rules as live sockets: AI-to-AI messages arrive after the delay window, held messages arrive when pause ends, and nothing is released while an interject is active.',
+    retries: `Non-2xx responses and network errors are retried with exponential backoff, up to ${WEBHOOK_MAX_ATTEMPTS} attempts.`,
+  },
   notes: [
     'Room codes act like shared secrets. Use strong room codes.',
-    'AI-to-AI delivery has a 10-second delay so humans can interject.',
+    `AI-to-AI delivery is delayed so humans can interject. The default is ${DEFAULT_ROOM_SETTINGS.aiDelayMs / 1000} seconds; see /api/settings/:roomId for the room's own window.`,
+    'Addressed messages (recipientIds set via "to" or @mentions) reach only the named AI participants and the sender. Every human still sees them. Other AI participants never receive them in sockets, streams, webhooks or history.',
+    'Edited messages carry editedAt and revisionCount. Retracted messages keep their id with an empty body, deletedAt and deletedBy. AI participants receive "message-edited"/"message-retracted" (also as webhook events) only for messages they could already see.',
+    'During the delay the primary human can approve, reject or edit each pending AI message. The decision is stored as reviewState/reviewedBy/reviewedAt on the message and pushed as "message-reviewed".',
     'Only AI participants can set taskState/taskDescription flags.',
+    'Every message carries contentType (text, markdown or json) and payload (the parsed JSON for json messages, otherwise null). Exports and imports keep both; markdown and openai exports append the payload as a fenced json block. Retracting a message clears its payload.',
+    `Sending is rate limited per participant (burst ${RATE_LIMITS.participant.burst}, ${RATE_LIMITS.participant.perMinute}/min) and per room (burst ${RATE_LIMITS.room.burst}, ${RATE_LIMITS.room.perMinute}/min). AI participants also have daily quotas of ${DAILY_QUOTAS.messages || 'unlimited'} messages and ${DAILY_QUOTAS.characters || 'unlimited'} characters. Over a limit, /api/send answers 429 with Retry-After and sockets receive "chat-error". A limit of 0 means unlimited.`,
+    'The loop guard watches AI-to-AI traffic. When a room crosses its loop thresholds, pending AI deliveries are held, AI routing is paused, and "loop-guard-tripped" plus a warning "toast-update" are pushed. AI messages stay held from AI participants until a human resumes AI routing, which pushes "loop-guard-cleared".',
   ],
   examples: {
     create: `curl -X POST http://localhost:3000/api/create -H "Content-Type: application/json" -d '{"roomId":"RoomCodeA1X","role":"ai"}'`,
     join: `curl -X POST http://localhost:3000/api/join -H "Content-Type: application/json" -d '{"roomId":"RoomCodeA1X","role":"human"}'`,
-    send: `curl -X POST http://localhost:3000/api/send/RoomCodeA1X -H "Content-Type: application/json" -H "x-participant-id: YOUR_PARTICIPANT_ID" -d "{\"text\":\"I'm checking logs\"}"`,
-    getLatest: 'curl "http://localhost:3000/api/getLatest/RoomCodeA1X?participantId=YOUR_PARTICIPANT_ID"',
+    send: `curl -X POST http://localhost:3000/api/send/RoomCodeA1X -H "Content-Type: application/json" -H "x-participant-id: YOUR_PARTICIPANT_ID" -H "Authorization: Bearer YOUR_API_TOKEN" -d "{\"text\":\"I'm checking logs\"}"`,
+    sendJson: `curl -X POST http://localhost:3000/api/send/RoomCodeA1X -H "Content-Type: application/json" -H "x-participant-id: YOUR_PARTICIPANT_ID" -H "Authorization: Bearer YOUR_API_TOKEN" -d '{"contentType":"json","text":"Build status","payload":{"build":412,"passed":true}}'`,
+    search: 'curl -H "Authorization: Bearer YOUR_API_TOKEN" "http://localhost:3000/api/search/RoomCodeA1X?participantId=YOUR_PARTICIPANT_ID&q=deploy&role=human"',
+    export: 'curl -OJ -H "Authorization: Bearer YOUR_API_TOKEN" "http://localhost:3000/api/export/RoomCodeA1X?participantId=YOUR_PARTICIPANT_ID&format=markdown"',
+    getLatest: 'curl -H "Authorization: Bearer YOUR_API_TOKEN" "http://localhost:3000/api/getLatest/RoomCodeA1X?participantId=YOUR_PARTICIPANT_ID"',
   },
 };
 
@@ -129,6 +537,10 @@ app.get('/rooms/:roomId', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 app.get('/api/health', (req, res) => {
   res.json({ ok: true });
 });
@@ -139,7 +551,8 @@ app.get('/api/setup-status', (req, res) => {
     ready: dbState.ready,
     checkedAt: dbState.checkedAt,
     error: dbState.error,
-    requiredEnv: ['DATABASE_URL', 'SUPABASE_URL', 'SUPABASE_ANON_KEY'],
+    storageBackend,
+    requiredEnv,
   });
 });
 
@@ -147,9 +560,24 @@ app.get('/api/docs', (req, res) => {
   res.json(API_DOCS);
 });
 
+app.get('/metrics', async (req, res) => {
+  if (!verifyMetricsToken(getBearerToken(req))) {
+    return res.status(401).json({ error: 'A valid metrics token is required.' });
+  }
+
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(renderMetrics(await collectLiveGauges()));
+  } catch (error) {
+    console.error('Failed to render metrics', error);
+    return res.status(500).json({ error: 'Unable to render metrics.' });
+  }
+});
+
 
+// Observers read without sending read receipts.
 function getIncomingUnreadMessageIdsForParticipant(messages, participant) {
-  if (!Array.isArray(messages) || !participant?.client_id) return [];
+  if (!Array.isArray(messages) || !participant?.client_id || participant.role === 'observer') return [];
 
   const participantSocketIds = new Set([
     participant.socket_id,
@@ -162,6 +590,18 @@ function getIncomingUnreadMessageIdsForParticipant(messages, participant) {
     .map((message) => message.id);
 }
 
+function ensureAdmin(req, res) {
+  if (!adminEnabled) {
+    res.status(503).json({ error: 'The admin API is disabled. Set ADMIN_SECRET to enable it.' });
+    return false;
+  }
+  if (!verifyAdminSecret(getBearerToken(req))) {
+    res.status(401).json({ error: 'A valid admin secret is required.' });
+    return false;
+  }
+  return true;
+}
+
 function ensureDatabaseReady(res) {
   if (dbState.ready) return true;
 
@@ -181,7 +621,7 @@ app.post('/api/create', async (req, res) => {
   const role = normalizeRole(req.body.role);
 
   if (!role) {
-    return res.status(400).json({ error: 'role is required and must be either "human" or "ai".' });
+    return res.status(400).json({ error: 'role is required and must be "human", "ai" or "observer".' });
   }
 
   const targetRoomCode = roomCode || createRoomCode();
@@ -190,6 +630,12 @@ app.post('/api/create', async (req, res) => {
     return res.status(400).json({ error: 'roomId must be at least 10 chars and include one number.' });
   }
 
+  const webhookCheck = req.body.webhookUrl ? await validateWebhookUrl(req.body.webhookUrl, 'webhookUrl') : {};
+  if (webhookCheck.error) {
+    return res.status(400).json({ error: webhookCheck.error });
+  }
+  const webhookUrl = webhookCheck.url;
+
   try {
     const existing = await getRoomByCode(targetRoomCode);
     if (existing) {
@@ -197,15 +643,27 @@ app.post('/api/create', async (req, res) => {
     }
 
     const room = await createRoom(targetRoomCode);
-    const identity = await ensureApiParticipant({ roomId: room.id, role, participantId: req.body.participantId });
+    const identity = await ensureApiParticipant({
+      room,
+      role,
+      participantId: req.body.participantId,
+      apiToken: getBearerToken(req),
+      address: getRequestAddress(req),
+    });
+    const webhook = webhookUrl ? await registerWebhook(room.id, identity.participantId, webhookUrl) : undefined;
     const messages = await getAllMessagesForParticipant(room.id, identity.participantId);
     await updateParticipantCursor(room.id, identity.participantId, messages);
 
     return res.status(201).json({
       roomId: room.room_code,
       participantId: identity.participantId,
+      apiToken: identity.apiToken,
       role: identity.role,
       isPrimaryHuman: identity.isPrimaryHuman,
+      isModerator: identity.isModerator,
+      status: room.status,
+      settings: await loadRoomSettings(room.id),
+      webhook,
       messages,
     });
   } catch (error) {
@@ -228,25 +686,45 @@ app.post('/api/join', async (req, res) => {
   }
 
   if (!role) {
-    return res.status(400).json({ error: 'role is required and must be either "human" or "ai".' });
+    return res.status(400).json({ error: 'role is required and must be "human", "ai" or "observer".' });
   }
 
+  const webhookCheck = req.body.webhookUrl ? await validateWebhookUrl(req.body.webhookUrl, 'webhookUrl') : {};
+  if (webhookCheck.error) {
+    return res.status(400).json({ error: webhookCheck.error });
+  }
+  const webhookUrl = webhookCheck.url;
+
   try {
     const room = await getRoomByCode(roomCode);
     if (!room) {
       return res.status(404).json({ error: 'Room not found.' });
     }
 
-    const identity = await ensureApiParticipant({ roomId: room.id, role, participantId: req.body.participantId });
-    const messages = await getAllMessagesForParticipant(room.id, identity.participantId);
+    const identity = await ensureApiParticipant({
+      room,
+      role,
+      participantId: req.body.participantId,
+      apiToken: getBearerToken(req),
+      address: getRequestAddress(req),
+    });
+    const webhook = webhookUrl ? await registerWebhook(room.id, identity.participantId, webhookUrl) : undefined;
+    const participant = await getParticipantByClient(room.id, identity.participantId);
+    const { messages, hasMore } = await loadHistoryPage(room, getParticipantViewer(participant));
     await updateParticipantCursor(room.id, identity.participantId, messages);
 
     return res.json({
       roomId: room.room_code,
       participantId: identity.participantId,
+      apiToken: identity.apiToken,
       role: identity.role,
       isPrimaryHuman: identity.isPrimaryHuman,
+      isModerator: identity.isModerator,
       pauseAi: room.pause_ai,
+      status: room.status,
+      settings: await loadRoomSettings(room.id),
+      webhook,
+      hasMoreMessages: hasMore,
       messages,
     });
   } catch (error) {
@@ -258,24 +736,149 @@ app.post('/api/join', async (req, res) => {
   }
 });
 
+app.post('/api/import', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  const roomCode = normalizeRoomCode(req.body.roomId || req.body.roomCode);
+  const role = normalizeRole(req.body.role);
+
+  if (!role) {
+    return res.status(400).json({ error: 'role is required and must be "human", "ai" or "observer".' });
+  }
+
+  const targetRoomCode = roomCode || createRoomCode();
+  if (!isValidCode(targetRoomCode)) {
+    return res.status(400).json({ error: 'roomId must be at least 10 chars and include one number.' });
+  }
+
+  const { entries, error: transcriptError } = parseTranscript(req.body.transcript);
+  if (transcriptError) {
+    return res.status(400).json({ error: transcriptError });
+  }
+
+  try {
+    if (await getRoomByCode(targetRoomCode)) {
+      return res.status(409).json({ error: 'Room already exists. Choose another roomId for the imported room.' });
+    }
+
+    const room = await createRoom(targetRoomCode);
+    const identity = await ensureApiParticipant({
+      room,
+      role,
+      participantId: req.body.participantId,
+      apiToken: getBearerToken(req),
+      address: getRequestAddress(req),
+    });
+    const seeded = await seedRoomFromTranscript(room, entries, identity);
+
+    return res.status(201).json({
+      roomId: room.room_code,
+      participantId: identity.participantId,
+      apiToken: identity.apiToken,
+      role: identity.role,
+      isPrimaryHuman: identity.isPrimaryHuman,
+      isModerator: identity.isModerator,
+      importedCount: seeded.count,
+      participants: seeded.participants,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to import transcript via REST API', error);
+    return res.status(500).json({ error: 'Unable to import transcript.' });
+  }
+});
+
+app.post('/api/fork/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  const messageId = String(req.body.messageId || '');
+  if (!MESSAGE_ID_PATTERN.test(messageId)) {
+    return res.status(400).json({ error: 'messageId is required and must be a message ID.' });
+  }
+
+  const targetRoomCode = normalizeRoomCode(req.body.newRoomId) || createRoomCode();
+  if (!isValidCode(targetRoomCode)) {
+    return res.status(400).json({ error: 'newRoomId must be at least 10 chars and include one number.' });
+  }
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const viewer = getParticipantViewer(auth.participant);
+    const history = await getMessages(auth.room.id, viewer.role, viewer.socketId, viewer.clientId);
+    const forkIndex = history.findIndex((message) => message.id === messageId);
+    if (forkIndex === -1) {
+      return res.status(404).json({ error: 'Message not found.' });
+    }
+
+    const { entries, error: transcriptError } = parseTranscript(history.slice(0, forkIndex + 1));
+    if (transcriptError) {
+      return res.status(400).json({ error: transcriptError });
+    }
+
+    if (await getRoomByCode(targetRoomCode)) {
+      return res.status(409).json({ error: 'Room already exists. Choose another newRoomId for the fork.' });
+    }
+
+    const room = await createRoom(targetRoomCode);
+    const identity = await ensureApiParticipant({
+      room,
+      role: auth.participant.role,
+      participantId: auth.participant.client_id,
+      address: getRequestAddress(req),
+    });
+    const seeded = await seedRoomFromTranscript(room, entries, identity, { ownSenderKey: auth.participant.client_id });
+
+    return res.status(201).json({
+      roomId: room.room_code,
+      forkedFrom: { roomId: auth.room.room_code, messageId },
+      participantId: identity.participantId,
+      apiToken: identity.apiToken,
+      role: identity.role,
+      isPrimaryHuman: identity.isPrimaryHuman,
+      isModerator: identity.isModerator,
+      importedCount: seeded.count,
+      participants: seeded.participants,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to fork room via REST API', error);
+    return res.status(500).json({ error: 'Unable to fork room.' });
+  }
+});
+
 app.get('/api/allMessages/:roomId', async (req, res) => {
   if (!ensureDatabaseReady(res)) return;
 
   try {
-    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'));
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
 
-    const messages = await getAllMessagesForParticipant(auth.room.id, auth.participant.client_id);
+    const { messages, hasMore } = await loadHistoryPage(auth.room, getParticipantViewer(auth.participant), req.query);
     await updateParticipantCursor(auth.room.id, auth.participant.client_id, messages);
 
     const readMessageIds = getIncomingUnreadMessageIdsForParticipant(messages, auth.participant);
     if (readMessageIds.length > 0) {
       await markRead(readMessageIds);
-      io.to(auth.room.room_code).emit('messages-read', { messageIds: readMessageIds });
+      emitRoomEvent(auth.room.room_code, 'messages-read', { messageIds: readMessageIds });
     }
 
-    return res.json({ roomId: auth.room.room_code, participantId: auth.participant.client_id, count: messages.length, messages });
+    return res.json({
+      roomId: auth.room.room_code,
+      participantId: auth.participant.client_id,
+      count: messages.length,
+      hasMore,
+      messages,
+    });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Failed to fetch all messages via REST API', error);
     return res.status(500).json({ error: 'Unable to fetch messages.' });
   }
@@ -285,26 +888,32 @@ app.get('/api/getLatest/:roomId', async (req, res) => {
   if (!ensureDatabaseReady(res)) return;
 
   try {
-    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'));
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
 
-    const messages = await getLatestMessagesForParticipant(auth.room.id, auth.participant.client_id);
+    const limit = req.query.limit === undefined ? null : parseHistoryLimit(req.query.limit);
+    const unseen = await getLatestMessagesForParticipant(auth.room.id, auth.participant.client_id, limit && limit + 1);
+    const messages = limit ? unseen.slice(0, limit) : unseen;
     await updateParticipantCursor(auth.room.id, auth.participant.client_id, messages);
 
     const readMessageIds = getIncomingUnreadMessageIdsForParticipant(messages, auth.participant);
     if (readMessageIds.length > 0) {
       await markRead(readMessageIds);
-      io.to(auth.room.room_code).emit('messages-read', { messageIds: readMessageIds });
+      emitRoomEvent(auth.room.room_code, 'messages-read', { messageIds: readMessageIds });
     }
 
     return res.json({
       roomId: auth.room.room_code,
       participantId: auth.participant.client_id,
       hasNewMessages: messages.length > 0,
+      hasMore: unseen.length > messages.length,
       message: messages.length === 0 ? 'No new messages.' : undefined,
       messages,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Failed to fetch latest messages via REST API', error);
     return res.status(500).json({ error: 'Unable to fetch latest messages.' });
   }
@@ -313,18 +922,24 @@ app.get('/api/getLatest/:roomId', async (req, res) => {
 app.post('/api/send/:roomId', async (req, res) => {
   if (!ensureDatabaseReady(res)) return;
 
-  const text = String(req.body.text || '').trim();
-  if (!text) {
-    return res.status(400).json({ error: 'text is required.' });
+  const { content, error: contentError } = parseMessageContent(req.body);
+  if (contentError) {
+    return res.status(400).json({ error: contentError });
   }
 
   try {
-    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'));
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
 
+    if (auth.participant.role === 'observer') {
+      return res.status(403).json({ error: 'Observers can read the room but cannot send messages.' });
+    }
+
+    const sendBlocked = getSendBlockReason(auth.room.status);
+    if (sendBlocked) return res.status(409).json({ error: sendBlocked });
+
     const senderRole = auth.participant.role === 'human' ? 'human' : 'ai';
-    const cleanText = text.slice(0, 5000);
-    const safeTaskState = ['none', 'task_start', 'task_update', 'task_complete'].includes(req.body.taskState)
+    const safeTaskState = TASK_STATES.includes(req.body.taskState)
       ? req.body.taskState
       : 'none';
     const safeTaskDescription = String(req.body.taskDescription || '').trim().slice(0, 500);
@@ -337,91 +952,84 @@ app.post('/api/send/:roomId', async (req, res) => {
       return res.status(400).json({ error: 'taskDescription is required when taskState is set.' });
     }
 
+    const replyToId = await resolveReplyTo(auth.room, req.body.replyTo, getRestActor(auth.participant));
+    const addressing = resolveRecipients({
+      text: content.body,
+      to: req.body.to,
+      participants: await listParticipants(auth.room.id),
+      senderClientId: auth.participant.client_id,
+    });
+    if (addressing.error) {
+      return res.status(400).json({ error: addressing.error });
+    }
+
+    const taskOwner = { clientId: auth.participant.client_id, displayName: auth.participant.display_name };
+    let task = await resolveMessageTask(auth.room, taskOwner, { taskState: safeTaskState, taskId: req.body.taskId });
+    await enforceSendLimits(auth.room, { clientId: auth.participant.client_id, role: senderRole }, describeContent(content));
+
     const roles = await getParticipantRoles(auth.room.id);
     const hasHuman = roles.includes('human');
-    const heldForAi = auth.room.pause_ai && hasHuman && senderRole === 'human';
-    const delayedForAiUntil = senderRole === 'ai' ? new Date(Date.now() + AI_MESSAGE_DELAY_MS).toISOString() : null;
+    const settings = await loadRoomSettings(auth.room.id);
+    const loopTrip = await checkAiLoop(auth.room, { senderRole, senderClientId: auth.participant.client_id, body: describeContent(content) }, settings);
+    const heldForAi = senderRole === 'ai'
+      ? Boolean(loopTrip)
+      : auth.room.pause_ai && hasHuman && settings.holdHumanMessagesWhilePaused;
+    const delayAiToAi = senderRole === 'ai' && settings.aiDelayEnabled && !loopTrip;
+    const delayedForAiUntil = delayAiToAi ? new Date(Date.now() + settings.aiDelayMs).toISOString() : null;
+
+    if (safeTaskState === 'task_start') task = await startMessageTask(auth.room, taskOwner, safeTaskDescription);
 
     const message = await saveMessage({
       roomId: auth.room.id,
       senderSocketId: `api:${auth.participant.client_id}`,
+      senderClientId: auth.participant.client_id,
       senderRole,
       senderDisplayName: auth.participant.display_name || (senderRole === 'human' ? 'Human' : 'AI'),
-      body: cleanText,
+      body: content.body,
+      contentType: content.contentType,
+      payload: content.payload,
       status: 'sent',
       emergencyInterject: false,
       heldForAi,
       taskState: safeTaskState,
       taskDescription: safeTaskDescription || null,
       delayedForAiUntil,
+      replyToId,
+      recipientIds: addressing.recipientIds,
+      taskId: task?.id || null,
     });
+    await applyMessageTask(auth.room, task, { taskState: safeTaskState, taskDescription: safeTaskDescription });
+    countSentMessage(message, 'rest');
 
-    const roomSockets = io.sockets.adapter.rooms.get(auth.room.room_code) || new Set();
-    const recipients = [...roomSockets]
-      .map((id) => io.sockets.sockets.get(id))
-      .filter(Boolean);
-    const aiRecipients = recipients.filter((recipient) => recipient.data.role === 'ai');
+    const recipients = await io.in(auth.room.room_code).fetchSockets();
+    const aiRecipients = recipients
+      .filter((recipient) => recipient.data.role === 'ai')
+      .filter((recipient) => isAddressedTo(message, recipient.data.clientId));
     const nonAiRecipients = recipients.filter((recipient) => recipient.data.role !== 'ai');
 
     for (const recipient of nonAiRecipients) {
       recipient.emit('message-new', message);
     }
 
-    const shouldSendToAiImmediately = senderRole === 'human' && !heldForAi;
+    const shouldSendToAiImmediately = !heldForAi && !delayAiToAi;
     if (shouldSendToAiImmediately) {
       for (const recipient of aiRecipients) {
         recipient.emit('message-new', message);
       }
     }
+    deliverToRestParticipants(auth.room, message, { roles: shouldSendToAiImmediately ? ['human', 'ai'] : ['human'] });
 
-    if (senderRole === 'ai' && aiRecipients.length > 0) {
-      const state = ensureRoomState(auth.room.room_code);
-      const releaseAt = Date.now() + AI_MESSAGE_DELAY_MS;
-      const pendingEntry = {
-        messageId: message.id,
-        senderSocketId: `api:${auth.participant.client_id}`,
-        releaseAt,
-        createdAt: Date.now(),
-        blocked: false,
-        message,
-        timer: setTimeout(async () => {
-          const currentState = ensureRoomState(auth.room.room_code);
-          currentState.pending = currentState.pending.filter((entry) => entry.messageId !== message.id);
-
-          if (!currentState.interjectActive) {
-            const currentMembers = io.sockets.adapter.rooms.get(auth.room.room_code) || new Set();
-            for (const memberId of currentMembers) {
-              const memberSocket = io.sockets.sockets.get(memberId);
-              if (memberSocket?.data.role === 'ai') {
-                memberSocket.emit('message-new', message);
-              }
-            }
-            await markMessageReleased(message.id);
-            io.to(auth.room.room_code).emit('toast-update', {
-              level: 'info',
-              message: 'AI delay window ended. Message is now delivered to AI participants.',
-            });
-          }
-
-          io.to(auth.room.room_code).emit('pending-delay-update', {
-            pending: currentState.pending.map((entry) => ({ messageId: entry.messageId, releaseAt: entry.releaseAt })),
-          });
-        }, AI_MESSAGE_DELAY_MS),
-      };
-
-      state.pending.push(pendingEntry);
-      io.to(auth.room.room_code).emit('pending-delay-update', {
-        pending: state.pending.map((entry) => ({ messageId: entry.messageId, releaseAt: entry.releaseAt })),
-      });
-      io.to(auth.room.room_code).emit('toast-update', {
+    if (delayAiToAi && (aiRecipients.length > 0 || await hasOtherAiParticipant(auth.room.id, auth.participant.client_id))) {
+      queueAiRelease(auth.room.room_code, message);
+      emitRoomEvent(auth.room.room_code, 'toast-update', {
         level: 'info',
-        message: 'Incoming AI message: sent to humans now, AI delivery in 10s unless a human interjects.',
+        message: `Incoming AI message: sent to humans now, AI delivery in ${formatDelay(settings.aiDelayMs)} unless a human interjects.`,
       });
     }
 
-    if (roomSockets.size > 0) {
+    if (recipients.length > 0) {
       await markDelivered(message.id);
-      io.to(auth.room.room_code).emit('message-status', { messageId: message.id, status: 'delivered' });
+      emitRoomEvent(auth.room.room_code, 'message-status', { messageId: message.id, status: 'delivered' });
       message.status = 'delivered';
     }
 
@@ -431,516 +1039,2701 @@ app.post('/api/send/:roomId', async (req, res) => {
       message,
     });
   } catch (error) {
+    if (error.statusCode) {
+      if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+      return res.status(error.statusCode).json({ error: error.message, retryAfterSeconds: error.retryAfterSeconds });
+    }
     console.error('Failed to send message via REST API', error);
     return res.status(500).json({ error: 'Unable to send message.' });
   }
 });
 
 
-app.get('/api/rooms/:code', async (req, res) => {
+app.get('/api/thread/:roomId/:messageId', async (req, res) => {
   if (!ensureDatabaseReady(res)) return;
 
-  const code = normalizeRoomCode(req.params.code);
-  if (!isValidCode(code)) {
-    return res.status(400).json({ error: 'Code must be at least 10 chars and include one number.' });
-  }
-
   try {
-    const room = await getRoomByCode(code);
-    if (!room) {
-      return res.status(404).json({ error: 'Room not found.' });
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const messages = MESSAGE_ID_PATTERN.test(req.params.messageId)
+      ? await getThreadForParticipant(auth.room.id, auth.participant.client_id, req.params.messageId)
+      : [];
+    if (!messages.some((message) => message.id === req.params.messageId)) {
+      return res.status(404).json({ error: 'Message not found.' });
     }
 
-    return res.json({ roomId: room.id, roomCode: room.room_code, pauseAi: room.pause_ai });
+    return res.json({
+      roomId: auth.room.room_code,
+      participantId: auth.participant.client_id,
+      messageId: req.params.messageId,
+      rootId: messages[0].replyToId ? null : messages[0].id,
+      count: messages.length,
+      messages,
+    });
   } catch (error) {
-    console.error('Failed to get room', error);
-    return res.status(500).json({ error: 'Unable to fetch room.' });
+    console.error('Failed to fetch thread via REST API', error);
+    return res.status(500).json({ error: 'Unable to fetch thread.' });
   }
 });
 
-app.post('/api/rooms', async (req, res) => {
+app.get('/api/search/:roomId', async (req, res) => {
   if (!ensureDatabaseReady(res)) return;
-  const { code } = req.body;
-  if (!isValidCode(code)) {
-    return res.status(400).json({ error: 'Code must be at least 10 chars and include one number.' });
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const { filters, messages } = await searchRoomMessages(auth.room, getParticipantViewer(auth.participant), req.query);
+    return res.json({
+      roomId: auth.room.room_code,
+      participantId: auth.participant.client_id,
+      filters,
+      count: messages.length,
+      messages,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to search messages via REST API', error);
+    return res.status(500).json({ error: 'Unable to search messages.' });
   }
+});
+
+app.get('/api/export/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
 
   try {
-    const room = await getRoomByCode(code);
-    if (room) {
-      return res.status(409).json({ error: 'Room code already exists.' });
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const transcript = await exportRoomTranscript(auth.room, {
+      ...getParticipantViewer(auth.participant),
+      displayName: auth.participant.display_name,
+    }, req.query.format);
+    res.attachment(transcript.filename);
+    res.type(transcript.contentType);
+    return res.send(transcript.body);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error('Failed to export transcript via REST API', error);
+    return res.status(500).json({ error: 'Unable to export transcript.' });
+  }
+});
 
-    const created = await createRoom(code);
-    return res.status(201).json({ roomId: created.id, roomCode: created.room_code });
+app.get('/api/quota/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const quota = await getRoomQuota(auth.room, { clientId: auth.participant.client_id, role: auth.participant.role });
+    return res.json({ roomId: auth.room.room_code, participantId: auth.participant.client_id, ...quota });
   } catch (error) {
-    console.error('Failed to create room', error);
-    return res.status(500).json({ error: 'Unable to create room.' });
+    console.error('Failed to fetch quota via REST API', error);
+    return res.status(500).json({ error: 'Unable to fetch quota.' });
   }
 });
 
-app.post('/api/rooms/join', async (req, res) => {
+app.get('/api/tasks/:roomId', async (req, res) => {
   if (!ensureDatabaseReady(res)) return;
-  const { code } = req.body;
 
-  if (!isValidCode(code)) {
-    return res.status(400).json({ error: 'Code must be at least 10 chars and include one number.' });
+  const status = String(req.query.status || 'all');
+  if (!['open', 'closed', 'all'].includes(status)) {
+    return res.status(400).json({ error: 'status must be "open", "closed" or "all".' });
   }
 
   try {
-    const room = await getRoomByCode(code);
-    if (!room) {
-      return res.status(404).json({ error: 'Room not found.' });
-    }
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
 
-    return res.json({ roomId: room.id, roomCode: room.room_code, pauseAi: room.pause_ai });
+    const ownerId = String(req.query.owner || '').trim().toUpperCase() || null;
+    const tasks = await listTasks(auth.room.id, { status: status === 'all' ? null : status, ownerId });
+    return res.json({
+      roomId: auth.room.room_code,
+      participantId: auth.participant.client_id,
+      count: tasks.length,
+      tasks: tasks.map(withTaskDuration),
+    });
   } catch (error) {
-    console.error('Failed to join room', error);
-    return res.status(500).json({ error: 'Unable to join room.' });
+    console.error('Failed to list tasks via REST API', error);
+    return res.status(500).json({ error: 'Unable to list tasks.' });
   }
 });
 
-io.use((socket, next) => {
-  if (!dbState.ready) {
-    next(new Error('Database is not connected yet. Please configure Supabase env vars first.'));
-    return;
+app.get('/api/tasks/:roomId/:taskId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const task = MESSAGE_ID_PATTERN.test(req.params.taskId) ? await getTaskById(auth.room.id, req.params.taskId) : null;
+    if (!task) return res.status(404).json({ error: 'Task not found.' });
+
+    return res.json({ roomId: auth.room.room_code, task: withTaskDuration(task) });
+  } catch (error) {
+    console.error('Failed to fetch task via REST API', error);
+    return res.status(500).json({ error: 'Unable to fetch task.' });
   }
+});
 
-  next();
+app.post('/api/tasks/:roomId/:taskId/cancel', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const task = await cancelRoomTask(auth.room, getRestActor(auth.participant), {
+      taskId: req.params.taskId,
+      reason: req.body.reason,
+    });
+    return res.json({ roomId: auth.room.room_code, task });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to cancel task via REST API', error);
+    return res.status(500).json({ error: 'Unable to cancel task.' });
+  }
 });
 
-io.on('connection', (socket) => {
-  socket.on('join-room', async ({ roomCode, role, clientId }) => {
-    try {
-      const room = await getRoomByCode(roomCode);
-      if (!room) {
-        socket.emit('chat-error', 'Room not found.');
-        return;
-      }
+app.get('/api/stream/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
 
-      if (clientId && !isValidClientId(clientId)) {
-        socket.emit('chat-error', 'Invalid participant ID. Please refresh and join again.');
-        return;
-      }
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
 
-      const existingParticipant = clientId ? await getParticipantByClient(room.id, clientId) : null;
-      const safeRole = existingParticipant?.role || (role === 'human' ? 'human' : 'ai');
-      const isPrimaryHuman = safeRole === 'human' && (!existingParticipant
-        ? !(await hasPrimaryHuman(room.id))
-        : Boolean(existingParticipant.is_primary_human));
+    const stream = openEventStream(req, res, { roomCode: auth.room.room_code, roomId: auth.room.id, participant: auth.participant });
+    const state = ensureRoomState(auth.room.room_code);
+    sendStreamEvent(stream, 'stream-ready', {
+      roomId: auth.room.room_code,
+      participantId: auth.participant.client_id,
+      role: auth.participant.role,
+      pauseAi: auth.room.pause_ai,
+      status: auth.room.status,
+      settings: await loadRoomSettings(auth.room.id),
+      interjectActive: state.interjectActive,
+      pendingDelay: state.pending.map((entry) => ({ messageId: entry.messageId, releaseAt: entry.releaseAt })),
+    });
 
-      socket.data.roomCode = roomCode;
-      socket.data.role = safeRole;
-      socket.data.clientId = existingParticipant?.client_id || (isValidClientId(clientId) ? clientId : null);
+    const backlog = await getLatestMessagesForParticipant(auth.room.id, auth.participant.client_id);
+    for (const message of backlog) {
+      sendStreamEvent(stream, 'message-new', message);
+    }
+    await advanceStreamCursor(stream, backlog);
+  } catch (error) {
+    console.error('Failed to open event stream via REST API', error);
+    if (!res.headersSent) return res.status(500).json({ error: 'Unable to open event stream.' });
+    res.end();
+  }
+});
 
-      socket.join(roomCode);
+app.post('/api/token/:roomId/rotate', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
 
-      const displayName = existingParticipant?.display_name || '';
-      socket.data.displayName = displayName;
-      socket.data.isPrimaryHuman = isPrimaryHuman;
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
 
-      if (existingParticipant) {
-        await upsertParticipant({
-          roomId: room.id,
-          socketId: socket.id,
-          clientId: existingParticipant.client_id,
-          role: safeRole,
-          displayName: existingParticipant.display_name,
-          isPrimaryHuman: Boolean(existingParticipant.is_primary_human),
-        });
-      }
+    const apiToken = await issueApiToken(auth.room.id, auth.participant.client_id);
+    return res.json({ roomId: auth.room.room_code, participantId: auth.participant.client_id, apiToken });
+  } catch (error) {
+    console.error('Failed to rotate API token via REST API', error);
+    return res.status(500).json({ error: 'Unable to rotate API token.' });
+  }
+});
 
-      const messages = await getMessages(room.id, safeRole, socket.id);
-      const state = ensureRoomState(roomCode);
-      socket.emit('chat-history', {
-        messages,
-        pauseAi: room.pause_ai,
-        interjectActive: state.interjectActive,
-        pendingDelay: state.pending.map((entry) => ({ messageId: entry.messageId, releaseAt: entry.releaseAt })),
-      });
+app.delete('/api/token/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
 
-      if (existingParticipant) {
-        socket.emit('role-locked', {
-          role: safeRole,
-          displayName: existingParticipant.display_name,
-          isPrimaryHuman: Boolean(existingParticipant.is_primary_human),
-        });
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const targetId = String(req.query.targetParticipantId || req.body?.targetParticipantId || '').trim().toUpperCase();
+    const revokedId = targetId || auth.participant.client_id;
+
+    if (revokedId !== auth.participant.client_id) {
+      if (!auth.participant.is_primary_human) {
+        return res.status(403).json({ error: 'Only the primary human can revoke another participant\'s API token.' });
       }
+      if (!(await getParticipantByClient(auth.room.id, revokedId))) {
+        return res.status(404).json({ error: 'targetParticipantId is not registered in this room.' });
+      }
+    }
 
-      await emitParticipantUpdate(roomCode, room.id);
-    } catch (error) {
-      console.error('join-room error', error);
-      socket.emit('chat-error', 'Unable to join room.');
+    await revokeParticipantApiToken(auth.room.id, revokedId);
+    return res.json({ roomId: auth.room.room_code, participantId: revokedId, revoked: true });
+  } catch (error) {
+    console.error('Failed to revoke API token via REST API', error);
+    return res.status(500).json({ error: 'Unable to revoke API token.' });
+  }
+});
+
+app.patch('/api/messages/:roomId/:messageId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const message = await changeMessage(auth.room, getRestActor(auth.participant), {
+      messageId: req.params.messageId,
+      action: 'edit',
+      text: req.body.text,
+    });
+    return res.json({ roomId: auth.room.room_code, participantId: auth.participant.client_id, message });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
-  });
+    console.error('Failed to edit message via REST API', error);
+    return res.status(500).json({ error: 'Unable to edit message.' });
+  }
+});
 
-  socket.on('set-role', async ({ roomCode, role }) => {
-    if (!roomCode || socket.data.roomCode !== roomCode) return;
+app.delete('/api/messages/:roomId/:messageId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
 
-    if (socket.data.clientId) {
-      socket.emit('chat-error', 'Role is locked to your participant ID for this room.');
-      return;
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const message = await changeMessage(auth.room, getRestActor(auth.participant), {
+      messageId: req.params.messageId,
+      action: 'delete',
+    });
+    return res.json({ roomId: auth.room.room_code, participantId: auth.participant.client_id, message });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to delete message via REST API', error);
+    return res.status(500).json({ error: 'Unable to delete message.' });
+  }
+});
+
+app.get('/api/messages/:roomId/:messageId/revisions', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const message = MESSAGE_ID_PATTERN.test(req.params.messageId)
+      ? await getMessageById(auth.room.id, req.params.messageId)
+      : null;
+    if (!message) return res.status(404).json({ error: 'Message not found.' });
+
+    if (auth.participant.role === 'ai' && !isOwnMessage(message, getRestActor(auth.participant))) {
+      return res.status(403).json({ error: 'Only human participants, observers and the sender can read revision history.' });
     }
 
-    const safeRole = role === 'human' ? 'human' : 'ai';
-    socket.data.role = safeRole;
-    socket.emit('role-selected', { role: safeRole });
-  });
+    const revisions = await listMessageRevisions(auth.room.id, message.id);
+    return res.json({ roomId: auth.room.room_code, messageId: message.id, message, count: revisions.length, revisions });
+  } catch (error) {
+    console.error('Failed to fetch message revisions via REST API', error);
+    return res.status(500).json({ error: 'Unable to fetch message revisions.' });
+  }
+});
 
-  socket.on('toggle-pause-ai', async ({ roomCode, pauseAi }) => {
-    if (!socket.data.isPrimaryHuman) {
-      socket.emit('chat-error', 'Only the first human in this room can control pause/interjection.');
-      return;
+app.get('/api/settings/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const settings = await loadRoomSettings(auth.room.id);
+    return res.json({ roomId: auth.room.room_code, settings });
+  } catch (error) {
+    console.error('Failed to fetch room settings via REST API', error);
+    return res.status(500).json({ error: 'Unable to fetch room settings.' });
+  }
+});
+
+app.post('/api/control/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const control = await changeRoomControl(auth.room, getRestActor(auth.participant), {
+      action: req.body.action,
+      participantId: req.body.targetId,
+    });
+    return res.json({ roomId: auth.room.room_code, ...control });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
-    try {
-      const room = await getRoomByCode(roomCode);
-      if (!room) return;
+    console.error('Failed to change room control via REST API', error);
+    return res.status(500).json({ error: 'Unable to change room control.' });
+  }
+});
+
+app.post('/api/kick/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const result = await removeParticipant(auth.room, getRestActor(auth.participant), {
+      action: 'kick',
+      participantId: req.body.targetId,
+      reason: req.body.reason,
+    });
+    return res.json({ roomId: auth.room.room_code, ...result });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to kick participant via REST API', error);
+    return res.status(500).json({ error: 'Unable to kick participant.' });
+  }
+});
+
+app.post('/api/ban/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const result = await removeParticipant(auth.room, getRestActor(auth.participant), {
+      action: 'ban',
+      participantId: req.body.targetId,
+      reason: req.body.reason,
+      blockAddress: req.body.blockAddress === true,
+    });
+    return res.status(201).json({ roomId: auth.room.room_code, ...result });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to ban participant via REST API', error);
+    return res.status(500).json({ error: 'Unable to ban participant.' });
+  }
+});
+
+app.get('/api/bans/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const bans = await listRoomBans(auth.room, getRestActor(auth.participant));
+    return res.json({ roomId: auth.room.room_code, bans });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to list bans via REST API', error);
+    return res.status(500).json({ error: 'Unable to list bans.' });
+  }
+});
+
+app.get('/api/audit/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const timeline = await loadAuditTimeline(auth.room, getRestActor(auth.participant), {
+      before: req.query.before,
+      limit: req.query.limit,
+    });
+    return res.json({ roomId: auth.room.room_code, ...timeline });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to read audit log via REST API', error);
+    return res.status(500).json({ error: 'Unable to read audit log.' });
+  }
+});
+
+app.delete('/api/bans/:roomId/:banId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const ban = await liftParticipantBan(auth.room, getRestActor(auth.participant), req.params.banId);
+    return res.json({ roomId: auth.room.room_code, ban });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to lift ban via REST API', error);
+    return res.status(500).json({ error: 'Unable to lift ban.' });
+  }
+});
+
+app.patch('/api/settings/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const settings = await updateRoomSettings(auth.room, {
+      clientId: auth.participant.client_id,
+      isPrimaryHuman: auth.participant.role === 'human' && Boolean(auth.participant.is_primary_human),
+    }, req.body.settings || req.body);
+
+    return res.json({ roomId: auth.room.room_code, settings });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to update room settings via REST API', error);
+    return res.status(500).json({ error: 'Unable to update room settings.' });
+  }
+});
+
+app.post('/api/pending/:roomId/:messageId/:action', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const message = await reviewPendingAiMessage(auth.room, {
+      clientId: auth.participant.client_id,
+      isPrimaryHuman: auth.participant.role === 'human' && Boolean(auth.participant.is_primary_human),
+    }, {
+      messageId: req.params.messageId,
+      action: req.params.action,
+      text: req.body.text,
+    });
+
+    return res.json({ roomId: auth.room.room_code, participantId: auth.participant.client_id, message });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to review pending AI message via REST API', error);
+    return res.status(500).json({ error: 'Unable to review pending AI message.' });
+  }
+});
+
+app.post('/api/webhook/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  const webhookCheck = await validateWebhookUrl(req.body.url || req.body.webhookUrl, 'url');
+  if (webhookCheck.error) {
+    return res.status(400).json({ error: webhookCheck.error });
+  }
+  const webhookUrl = webhookCheck.url;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const webhook = await registerWebhook(auth.room.id, auth.participant.client_id, webhookUrl);
+    return res.json({ roomId: auth.room.room_code, participantId: auth.participant.client_id, webhook });
+  } catch (error) {
+    console.error('Failed to register webhook via REST API', error);
+    return res.status(500).json({ error: 'Unable to register webhook.' });
+  }
+});
+
+app.delete('/api/webhook/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    await setParticipantWebhook(auth.room.id, auth.participant.client_id, null, null);
+    return res.json({ roomId: auth.room.room_code, participantId: auth.participant.client_id, webhook: null });
+  } catch (error) {
+    console.error('Failed to remove webhook via REST API', error);
+    return res.status(500).json({ error: 'Unable to remove webhook.' });
+  }
+});
+
+app.get('/api/webhook/:roomId/deliveries', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    const deliveries = await listWebhookDeliveries(auth.room.id, auth.participant.client_id, limit);
+    return res.json({
+      roomId: auth.room.room_code,
+      participantId: auth.participant.client_id,
+      webhookUrl: auth.participant.webhook_url || null,
+      count: deliveries.length,
+      deliveries,
+    });
+  } catch (error) {
+    console.error('Failed to fetch webhook deliveries via REST API', error);
+    return res.status(500).json({ error: 'Unable to fetch webhook deliveries.' });
+  }
+});
+
+app.get('/api/rooms/:code', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  const code = normalizeRoomCode(req.params.code);
+  if (!isValidCode(code)) {
+    return res.status(400).json({ error: 'Code must be at least 10 chars and include one number.' });
+  }
+
+  try {
+    const room = await getRoomByCode(code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found.' });
+    }
+
+    return res.json({ roomId: room.id, roomCode: room.room_code, pauseAi: room.pause_ai, status: room.status });
+  } catch (error) {
+    console.error('Failed to get room', error);
+    return res.status(500).json({ error: 'Unable to fetch room.' });
+  }
+});
+
+app.patch('/api/rooms/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.body.participantId || req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const change = await changeRoomStatus(auth.room, getRestActor(auth.participant), req.body.status);
+    return res.json({ roomId: auth.room.room_code, ...change });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to change room status via REST API', error);
+    return res.status(500).json({ error: 'Unable to change room status.' });
+  }
+});
+
+app.delete('/api/rooms/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+
+  try {
+    const auth = await authenticateRestParticipant(req.params.roomId, req.query.participantId || req.header('x-participant-id'), getBearerToken(req));
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    await deleteRoomAsParticipant(auth.room, getRestActor(auth.participant));
+    return res.json({ roomId: auth.room.room_code, deleted: true });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to delete room via REST API', error);
+    return res.status(500).json({ error: 'Unable to delete room.' });
+  }
+});
+
+app.post('/api/rooms', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+  const { code } = req.body;
+  if (!isValidCode(code)) {
+    return res.status(400).json({ error: 'Code must be at least 10 chars and include one number.' });
+  }
+
+  try {
+    const room = await getRoomByCode(code);
+    if (room) {
+      return res.status(409).json({ error: 'Room code already exists.' });
+    }
+
+    const created = await createRoom(code);
+    return res.status(201).json({ roomId: created.id, roomCode: created.room_code });
+  } catch (error) {
+    console.error('Failed to create room', error);
+    return res.status(500).json({ error: 'Unable to create room.' });
+  }
+});
+
+app.post('/api/rooms/join', async (req, res) => {
+  if (!ensureDatabaseReady(res)) return;
+  const { code } = req.body;
+
+  if (!isValidCode(code)) {
+    return res.status(400).json({ error: 'Code must be at least 10 chars and include one number.' });
+  }
+
+  try {
+    const room = await getRoomByCode(code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found.' });
+    }
+
+    return res.json({ roomId: room.id, roomCode: room.room_code, pauseAi: room.pause_ai });
+  } catch (error) {
+    console.error('Failed to join room', error);
+    return res.status(500).json({ error: 'Unable to join room.' });
+  }
+});
+
+app.get('/api/admin/rooms', async (req, res) => {
+  if (!ensureDatabaseReady(res) || !ensureAdmin(req, res)) return;
+
+  const limit = req.query.limit === undefined ? DEFAULT_ADMIN_ROOM_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ADMIN_ROOM_LIMIT) {
+    return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_ADMIN_ROOM_LIMIT}.` });
+  }
+
+  try {
+    const rooms = await listRoomStats({ limit });
+    return res.json({
+      rooms: rooms.map((room) => ({ ...room, live: describeLiveRoomState(room.roomCode) })),
+    });
+  } catch (error) {
+    console.error('Failed to list rooms via admin API', error);
+    return res.status(500).json({ error: 'Unable to list rooms.' });
+  }
+});
+
+app.get('/api/admin/rooms/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res) || !ensureAdmin(req, res)) return;
+
+  try {
+    const room = await getAdminRoom(req.params.roomId);
+    const [[stats], settings, participants, loopTrip] = await Promise.all([
+      listRoomStats({ roomId: room.id, limit: 1 }),
+      loadRoomSettings(room.id),
+      listParticipants(room.id),
+      getActiveLoopTrip(room.id),
+    ]);
+    return res.json({
+      ...stats,
+      statusChangedBy: room.status_changed_by,
+      statusChangedAt: room.status_changed_at,
+      settings,
+      participants,
+      loopTrip,
+      live: describeLiveRoomState(room.room_code),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to load room via admin API', error);
+    return res.status(500).json({ error: 'Unable to load room.' });
+  }
+});
+
+app.post('/api/admin/rooms/:roomId/pause', async (req, res) => {
+  if (!ensureDatabaseReady(res) || !ensureAdmin(req, res)) return;
+  if (typeof req.body.pauseAi !== 'boolean') {
+    return res.status(400).json({ error: 'pauseAi must be true or false.' });
+  }
+
+  try {
+    const room = await getAdminRoom(req.params.roomId);
+    await setAiPause(room, req.body.pauseAi, ADMIN_ACTOR);
+    emitRoomEvent(room.room_code, 'toast-update', {
+      level: 'warning',
+      message: req.body.pauseAi ? 'An operator paused AI routing.' : 'An operator resumed AI routing.',
+    });
+    return res.json({ roomId: room.room_code, pauseAi: req.body.pauseAi });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to change pause via admin API', error);
+    return res.status(500).json({ error: 'Unable to change pause state.' });
+  }
+});
+
+app.patch('/api/admin/rooms/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res) || !ensureAdmin(req, res)) return;
+
+  try {
+    const room = await getAdminRoom(req.params.roomId);
+    const change = await applyRoomStatus(room, req.body.status, ADMIN_ACTOR);
+    return res.json({ roomId: room.room_code, ...change });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to change room status via admin API', error);
+    return res.status(500).json({ error: 'Unable to change room status.' });
+  }
+});
+
+app.delete('/api/admin/rooms/:roomId', async (req, res) => {
+  if (!ensureDatabaseReady(res) || !ensureAdmin(req, res)) return;
+
+  try {
+    const room = await getAdminRoom(req.params.roomId);
+    if (!(await purgeRoom(room, { deletedBy: ADMIN_ACTOR.clientId, reason: 'purged' }))) {
+      return res.status(404).json({ error: 'Room not found.' });
+    }
+    return res.json({ roomId: room.room_code, deleted: true });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Failed to purge room via admin API', error);
+    return res.status(500).json({ error: 'Unable to purge room.' });
+  }
+});
+
+io.use((socket, next) => {
+  if (!dbState.ready) {
+    next(new Error('Database is not connected yet. Please configure Supabase env vars first.'));
+    return;
+  }
+
+  next();
+});
+
+io.on('connection', (socket) => {
+  socket.on('join-room', async ({ roomCode, role, clientId, apiToken }) => {
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) {
+        socket.emit('chat-error', 'Room not found.');
+        return;
+      }
+
+      if (clientId && !isValidClientId(clientId)) {
+        socket.emit('chat-error', 'Invalid participant ID. Please refresh and join again.');
+        return;
+      }
+
+      const existingParticipant = clientId ? await getParticipantByClient(room.id, clientId) : null;
+      const address = getClientAddress(socket.handshake.headers, socket.handshake.address);
+      const ban = await findActiveBan(room.id, existingParticipant ? { clientId: existingParticipant.client_id } : { address });
+      if (ban) {
+        socket.emit('chat-error', describeBan(ban));
+        return;
+      }
+
+      // Participant IDs are public in the participant list and on every message, so rejoining as an
+      // existing participant takes the token that was issued when its ID locked in. An ID that locked in
+      // before tokens were issued has none to prove ownership with, so it cannot be rejoined at all.
+      if (existingParticipant?.api_token_revoked_at) {
+        socket.emit('chat-error', 'Credentials for this participant ID were revoked. Clear this room from your browser storage and join again.');
+        return;
+      }
+      if (existingParticipant && !existingParticipant.api_token_hash) {
+        socket.emit('chat-error', 'This participant ID was registered before rejoin tokens were issued and cannot be rejoined. Clear this room from your browser storage and join again.');
+        return;
+      }
+      const joinToken = apiToken || socket.handshake.auth?.apiToken;
+      if (existingParticipant?.api_token_hash && !verifyApiToken(joinToken, existingParticipant.api_token_hash)) {
+        socket.emit('chat-error', 'This participant ID is already in use. Rejoin from the browser that owns it, or with its API token.');
+        return;
+      }
+
+      const joinBlocked = getJoinBlockReason(room.status, Boolean(existingParticipant));
+      if (joinBlocked) {
+        socket.emit('chat-error', joinBlocked);
+        return;
+      }
+
+      const safeRole = existingParticipant?.role || (PARTICIPANT_ROLES.includes(role) ? role : 'ai');
+      const isPrimaryHuman = safeRole === 'human' && (!existingParticipant
+        ? !(await hasPrimaryHuman(room.id))
+        : Boolean(existingParticipant.is_primary_human));
+
+      socket.data.roomCode = roomCode;
+      socket.data.role = safeRole;
+      socket.data.clientId = existingParticipant?.client_id || (isValidClientId(clientId) ? clientId : null);
+
+      socket.join(roomCode);
+
+      const displayName = existingParticipant?.display_name || '';
+      socket.data.displayName = displayName;
+      socket.data.isPrimaryHuman = isPrimaryHuman;
+      socket.data.isModerator = Boolean(existingParticipant?.is_moderator);
+
+      if (existingParticipant) {
+        await upsertParticipant({
+          roomId: room.id,
+          socketId: socket.id,
+          clientId: existingParticipant.client_id,
+          role: safeRole,
+          displayName: existingParticipant.display_name,
+          isPrimaryHuman: Boolean(existingParticipant.is_primary_human),
+          address,
+        });
+      }
+
+      const { messages, hasMore } = await getMessagePage(room.id, { limit: DEFAULT_HISTORY_LIMIT }, safeRole, socket.id, socket.data.clientId);
+      const state = ensureRoomState(roomCode);
+      socket.emit('chat-history', {
+        messages,
+        hasMore,
+        tasks: (await listTasks(room.id, { limit: DEFAULT_HISTORY_LIMIT })).map(withTaskDuration),
+        loopTrip: await getActiveLoopTrip(room.id),
+        pauseAi: room.pause_ai,
+        roomStatus: room.status,
+        settings: await loadRoomSettings(room.id),
+        interjectActive: state.interjectActive,
+        pendingDelay: state.pending.map((entry) => ({ messageId: entry.messageId, releaseAt: entry.releaseAt })),
+      });
+
+      await recordAudit(room, 'participant_joined', {
+        actor: getSocketActor(socket),
+        detail: { channel: 'socket', displayName: displayName || null },
+      });
+
+      if (existingParticipant) {
+        socket.emit('role-locked', {
+          role: safeRole,
+          displayName: existingParticipant.display_name,
+          isPrimaryHuman: Boolean(existingParticipant.is_primary_human),
+          isModerator: Boolean(existingParticipant.is_moderator),
+        });
+      }
+
+      await emitParticipantUpdate(roomCode, room.id);
+    } catch (error) {
+      console.error('join-room error', error);
+      socket.emit('chat-error', 'Unable to join room.');
+    }
+  });
+
+  socket.on('set-role', async ({ roomCode, role }) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    if (socket.data.clientId) {
+      socket.emit('chat-error', 'Role is locked to your participant ID for this room.');
+      return;
+    }
+
+    const safeRole = PARTICIPANT_ROLES.includes(role) ? role : 'ai';
+    socket.data.role = safeRole;
+    socket.emit('role-selected', { role: safeRole });
+  });
+
+  socket.on('toggle-pause-ai', async ({ roomCode, pauseAi }) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      // Only a locked-in participant of this room may pause it, even when the setting allows any human.
+      const participant = socket.data.clientId ? await getParticipantByClient(room.id, socket.data.clientId) : null;
+      const settings = await loadRoomSettings(room.id);
+      if (!participant || !canTogglePause(socket.data, settings)) {
+        socket.emit('chat-error', settings.pauseControl === 'any_human'
+          ? 'Only human participants can pause AI routing.'
+          : 'Only the primary human and moderators can control pause/interjection.');
+        return;
+      }
+
+      await setAiPause(room, Boolean(pauseAi), getSocketActor(socket));
+    } catch (error) {
+      console.error('toggle-pause-ai error', error);
+    }
+  });
+
+  socket.on('start-interject', async ({ roomCode }) => {
+    if (!roomCode || socket.data.roomCode !== roomCode || !hasControlRights(socket.data)) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      const state = ensureRoomState(roomCode);
+      setInterjectActive(roomCode, true);
+      interjectsStarted.inc();
+
+      const pendingToQueue = [...state.pending].sort((a, b) => a.createdAt - b.createdAt);
+      const roomMembers = await io.in(roomCode).fetchSockets();
+      const blockedMessageIds = [];
+
+      for (const pending of pendingToQueue) {
+        clearTimeout(pending.timer);
+        pending.blocked = true;
+        if (!(await blockMessageByInterject(pending.messageId))) continue;
+        blockedMessageIds.push(pending.messageId);
+        observeReleaseLatency(pending.message, 'interject');
+        for (const member of roomMembers) {
+          if (member.id === pending.senderSocketId) continue;
+          if (member.data.role === 'ai' && isAddressedTo(pending.message, member.data.clientId)) {
+            member.emit('message-new', pending.message);
+          }
+        }
+        deliverToRestParticipants(room, pending.message, { roles: ['ai'] });
+      }
+
+      clearQueuedAiReleases(roomCode);
+      await recordAudit(room, 'interject_started', { actor: getSocketActor(socket), detail: { blockedMessageIds } });
+      emitRoomEvent(roomCode, 'interject-updated', { active: true });
+      emitRoomEvent(roomCode, 'pending-delay-update', { pending: [] });
+      emitRoomEvent(roomCode, 'toast-update', {
+        level: 'warning',
+        message: 'Awaiting human interjection... queued AI messages were released to AI participants.',
+      });
+    } catch (error) {
+      console.error('start-interject error', error);
+    }
+  });
+
+  socket.on('review-pending-message', async ({ roomCode, messageId, action, text }) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      await reviewPendingAiMessage(room, {
+        clientId: socket.data.clientId,
+        isPrimaryHuman: socket.data.role === 'human' && Boolean(socket.data.isPrimaryHuman),
+      }, { messageId, action, text });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('review-pending-message error', error);
+    }
+  });
+
+  socket.on('change-control', async ({ roomCode, action, targetId } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      await changeRoomControl(room, getSocketActor(socket), { action, participantId: targetId });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('change-control error', error);
+    }
+  });
+
+  socket.on('set-room-status', async ({ roomCode, status } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      await changeRoomStatus(room, getSocketActor(socket), status);
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('set-room-status error', error);
+    }
+  });
+
+  socket.on('delete-room', async ({ roomCode } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      await deleteRoomAsParticipant(room, getSocketActor(socket));
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('delete-room error', error);
+    }
+  });
+
+  socket.on('remove-participant', async ({ roomCode, action, targetId, reason, blockAddress } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      await removeParticipant(room, getSocketActor(socket), { action, participantId: targetId, reason, blockAddress: blockAddress === true });
+      socket.emit('ban-list', { bans: await listRoomBans(room, getSocketActor(socket)) });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('remove-participant error', error);
+    }
+  });
+
+  socket.on('get-bans', async ({ roomCode } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      socket.emit('ban-list', { bans: await listRoomBans(room, getSocketActor(socket)) });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('get-bans error', error);
+    }
+  });
+
+  socket.on('get-audit', async ({ roomCode, before = null } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      const timeline = await loadAuditTimeline(room, getSocketActor(socket), { before });
+      socket.emit('audit-events', { before, ...timeline });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('get-audit error', error);
+    }
+  });
+
+  socket.on('lift-ban', async ({ roomCode, banId } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      await liftParticipantBan(room, getSocketActor(socket), banId);
+      socket.emit('ban-list', { bans: await listRoomBans(room, getSocketActor(socket)) });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('lift-ban error', error);
+    }
+  });
+
+  socket.on('update-room-settings', async ({ roomCode, settings }) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      await updateRoomSettings(room, {
+        clientId: socket.data.clientId,
+        isPrimaryHuman: socket.data.role === 'human' && Boolean(socket.data.isPrimaryHuman),
+      }, settings);
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('update-room-settings error', error);
+    }
+  });
+
+  socket.on('edit-message', async ({ roomCode, messageId, text }) => {
+    await handleSocketMessageChange(socket, { roomCode, messageId, action: 'edit', text });
+  });
+
+  socket.on('delete-message', async ({ roomCode, messageId }) => {
+    await handleSocketMessageChange(socket, { roomCode, messageId, action: 'delete' });
+  });
+
+  socket.on('load-older-messages', async ({ roomCode, before, limit } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode || !before) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      const { messages, hasMore } = await loadHistoryPage(room, {
+        role: socket.data.role,
+        socketId: socket.id,
+        clientId: socket.data.clientId,
+      }, { before, limit });
+      socket.emit('older-messages', { before, messages, hasMore });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('load-older-messages error', error);
+    }
+  });
+
+  socket.on('export-transcript', async ({ roomCode, format } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      const transcript = await exportRoomTranscript(room, {
+        role: socket.data.role,
+        socketId: socket.id,
+        clientId: socket.data.clientId,
+        displayName: socket.data.displayName,
+      }, format);
+      socket.emit('transcript-export', transcript);
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('export-transcript error', error);
+    }
+  });
+
+  socket.on('get-quota', async ({ roomCode } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      socket.emit('quota-usage', await getRoomQuota(room, { clientId: socket.data.clientId, role: socket.data.role }));
+    } catch (error) {
+      console.error('get-quota error', error);
+    }
+  });
+
+  socket.on('cancel-task', async ({ roomCode, taskId, reason } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      await cancelRoomTask(room, { clientId: socket.data.clientId, role: socket.data.role }, { taskId, reason });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('cancel-task error', error);
+    }
+  });
+
+  socket.on('search-messages', async ({ roomCode, ...filters } = {}) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      const { messages } = await searchRoomMessages(room, {
+        role: socket.data.role,
+        socketId: socket.id,
+        clientId: socket.data.clientId,
+      }, filters);
+      socket.emit('search-results', { query: String(filters.q ?? filters.query ?? '').trim(), messages });
+    } catch (error) {
+      if (error.statusCode) {
+        socket.emit('chat-error', error.message);
+        return;
+      }
+      console.error('search-messages error', error);
+    }
+  });
+
+  socket.on('send-message', async ({ roomCode, text, contentType = 'text', payload = null, emergencyInterject = false, taskState = 'none', taskDescription = '', taskId = null, replyTo = null, to = null }) => {
+    if (!roomCode || socket.data.roomCode !== roomCode) return;
+    if (socket.data.role === 'observer') {
+      socket.emit('chat-error', 'Observers can read the room but cannot send messages.');
+      return;
+    }
+
+    const { content, error: contentError } = parseMessageContent({ contentType, text, payload });
+    if (contentError) {
+      socket.emit('chat-error', contentError);
+      return;
+    }
+
+    try {
+      const room = await getRoomByCode(roomCode);
+      if (!room) return;
+
+      const sendBlocked = getSendBlockReason(room.status);
+      if (sendBlocked) {
+        socket.emit('chat-error', sendBlocked);
+        return;
+      }
+
+      if (!socket.data.clientId) {
+        let assignedClientId = createClientId();
+        while (await getParticipantByClient(room.id, assignedClientId)) {
+          assignedClientId = createClientId();
+        }
+
+        const assignedRole = socket.data.role === 'human' ? 'human' : 'ai';
+        const assignedPrimaryHuman = assignedRole === 'human' ? !(await hasPrimaryHuman(room.id)) : false;
+        const assignedDisplayName = assignedRole === 'human'
+          ? `${assignedPrimaryHuman ? 'MainHuman' : 'Human'}-${assignedClientId}`
+          : `AI-${assignedClientId}`;
+
+        await upsertParticipant({
+          roomId: room.id,
+          socketId: socket.id,
+          clientId: assignedClientId,
+          role: assignedRole,
+          displayName: assignedDisplayName,
+          isPrimaryHuman: assignedPrimaryHuman,
+          address: getClientAddress(socket.handshake.headers, socket.handshake.address),
+        });
+
+        socket.data.clientId = assignedClientId;
+        socket.data.displayName = assignedDisplayName;
+        socket.data.isPrimaryHuman = assignedPrimaryHuman;
+
+        socket.emit('role-locked', {
+          role: assignedRole,
+          displayName: assignedDisplayName,
+          isPrimaryHuman: assignedPrimaryHuman,
+          apiToken: await issueApiToken(room.id, assignedClientId),
+        });
+        await recordAudit(room, 'participant_locked', {
+          actor: getSocketActor(socket),
+          detail: { channel: 'socket', displayName: assignedDisplayName, isPrimaryHuman: assignedPrimaryHuman },
+        });
+        await emitParticipantUpdate(roomCode, room.id);
+      }
+
+      const senderRole = socket.data.role === 'human' ? 'human' : 'ai';
+      const safeTaskState = TASK_STATES.includes(taskState) ? taskState : 'none';
+      const safeTaskDescription = String(taskDescription || '').trim().slice(0, 500);
+
+      let replyToId = null;
+      try {
+        replyToId = await resolveReplyTo(room, replyTo, { clientId: socket.data.clientId, socketId: socket.id, role: senderRole });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        socket.emit('chat-error', error.message);
+        return;
+      }
+
+      const addressing = resolveRecipients({
+        text: content.body,
+        to,
+        participants: await listParticipants(room.id),
+        senderClientId: socket.data.clientId,
+      });
+      if (addressing.error) {
+        socket.emit('chat-error', addressing.error);
+        return;
+      }
+
+      const senderDisplayName = socket.data.displayName || (senderRole === 'human' ? 'Human' : 'AI');
+      const taskOwner = { clientId: socket.data.clientId, displayName: senderDisplayName };
+      const opensTask = senderRole === 'ai' && safeTaskState === 'task_start';
+      let task = null;
+      try {
+        if (senderRole === 'ai' && safeTaskState !== 'none') {
+          if (!safeTaskDescription) throw createHttpError(400, 'taskDescription is required when taskState is set.');
+          task = await resolveMessageTask(room, taskOwner, { taskState: safeTaskState, taskId });
+        }
+        await enforceSendLimits(room, { clientId: socket.data.clientId, role: senderRole }, describeContent(content));
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        socket.emit('chat-error', error.message);
+        return;
+      }
+
+      const roles = await getParticipantRoles(room.id);
+      const hasHuman = roles.includes('human');
+      const settings = await loadRoomSettings(room.id);
+      const loopTrip = await checkAiLoop(room, { senderRole, senderClientId: socket.data.clientId, body: describeContent(content) }, settings);
+      const heldForAi = senderRole === 'ai'
+        ? Boolean(loopTrip)
+        : room.pause_ai && hasHuman && settings.holdHumanMessagesWhilePaused && !emergencyInterject;
+      const delayAiToAi = senderRole === 'ai' && settings.aiDelayEnabled && !loopTrip;
+      const delayedForAiUntil = delayAiToAi ? new Date(Date.now() + settings.aiDelayMs).toISOString() : null;
+      if (opensTask) task = await startMessageTask(room, taskOwner, safeTaskDescription);
+
+      const message = await saveMessage({
+        roomId: room.id,
+        senderSocketId: socket.id,
+        senderClientId: socket.data.clientId,
+        senderRole,
+        senderDisplayName,
+        body: content.body,
+        contentType: content.contentType,
+        payload: content.payload,
+        status: 'sent',
+        emergencyInterject,
+        heldForAi,
+        taskState: safeTaskState,
+        taskDescription: safeTaskDescription || null,
+        delayedForAiUntil,
+        replyToId,
+        recipientIds: addressing.recipientIds,
+        taskId: task?.id || null,
+      });
+      await applyMessageTask(room, task, { taskState: safeTaskState, taskDescription: safeTaskDescription });
+      countSentMessage(message, 'socket');
+
+      const isHumanInterjection = senderRole === 'human' && Boolean(emergencyInterject);
+      const outboundMessage = isHumanInterjection
+        ? { ...message, humanInterjection: true, interjectionFlag: 'HUMAN' }
+        : message;
+
+      const roomSockets = await io.in(roomCode).fetchSockets();
+      const recipients = roomSockets.filter((member) => member.id !== socket.id);
+      const aiRecipients = recipients
+        .filter((recipient) => recipient.data.role === 'ai')
+        .filter((recipient) => isAddressedTo(message, recipient.data.clientId));
+      const nonAiRecipients = recipients.filter((recipient) => recipient.data.role !== 'ai');
+
+      socket.emit('message-new', outboundMessage);
+      for (const recipient of nonAiRecipients) {
+        recipient.emit('message-new', outboundMessage);
+      }
+
+      const shouldSendToAiImmediately = senderRole === 'human' ? (!heldForAi || isHumanInterjection) : !heldForAi && !delayAiToAi;
+      if (shouldSendToAiImmediately) {
+        for (const recipient of aiRecipients) {
+          recipient.emit('message-new', outboundMessage);
+        }
+      }
+      deliverToRestParticipants(room, outboundMessage, { roles: shouldSendToAiImmediately ? ['human', 'ai'] : ['human'] });
+
+      if (delayAiToAi && (aiRecipients.length > 0 || await hasOtherAiParticipant(room.id, socket.data.clientId))) {
+        queueAiRelease(roomCode, outboundMessage);
+        emitRoomEvent(roomCode, 'toast-update', {
+          level: 'info',
+          message: `Incoming AI message: sent to humans now, AI delivery in ${formatDelay(settings.aiDelayMs)} unless a human interjects.`,
+        });
+      }
+
+      if (senderRole === 'human' && emergencyInterject) {
+        setInterjectActive(roomCode, false);
+        emitRoomEvent(roomCode, 'interject-updated', { active: false });
+        await recordAudit(room, 'interject_ended', { actor: getSocketActor(socket), targetId: message.id });
+        emitRoomEvent(roomCode, 'toast-update', {
+          level: 'success',
+          message: 'Human interjection sent after queued AI message delivery.',
+        });
+      }
+
+      if (recipients.length > 0) {
+        await markDelivered(message.id);
+        emitRoomEvent(roomCode, 'message-status', { messageId: message.id, status: 'delivered' });
+      }
+    } catch (error) {
+      console.error('send-message error', error);
+    }
+  });
+
+  socket.on('mark-read', async ({ messageIds = [] }) => {
+    if (!Array.isArray(messageIds) || messageIds.length === 0 || socket.data.role === 'observer') return;
+
+    try {
+      await markRead(messageIds);
+      if (socket.data.roomCode) {
+        emitRoomEvent(socket.data.roomCode, 'messages-read', { messageIds });
+      }
+    } catch (error) {
+      console.error('mark-read error', error);
+    }
+  });
+
+  socket.on('disconnect', async () => {
+    try {
+      const roomCode = socket.data.roomCode;
+      await setParticipantOffline(socket.id);
+      if (roomCode) {
+        const room = await getRoomByCode(roomCode);
+        if (room) {
+          await emitParticipantUpdate(roomCode, room.id);
+        }
+      }
+    } catch (error) {
+      console.error('disconnect cleanup error', error);
+    }
+  });
+});
+
+
+
+
+function normalizeRole(role) {
+  if (PARTICIPANT_ROLES.includes(role)) return role;
+  return null;
+}
+
+function normalizeRoomCode(roomCode) {
+  if (typeof roomCode !== 'string') return '';
+  return roomCode.trim();
+}
+
+function isValidParticipantId(participantId) {
+  return typeof participantId === 'string' && /^[A-Z0-9]{20}$/.test(participantId) && /\d/.test(participantId);
+}
+
+function createRoomCode() {
+  return createRandomAlphaNumeric(20);
+}
+
+function createParticipantId() {
+  return createRandomAlphaNumeric(20);
+}
+
+function createRandomAlphaNumeric(length) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let output = '';
+  for (let i = 0; i < length; i += 1) {
+    output += alphabet[Math.floor(Math.random() * alphabet.length)];
+  }
+
+  if (!/\d/.test(output)) {
+    const replaceIndex = Math.floor(Math.random() * output.length);
+    const digit = String(Math.floor(Math.random() * 10));
+    output = `${output.slice(0, replaceIndex)}${digit}${output.slice(replaceIndex + 1)}`;
+  }
+
+  return output;
+}
+
+async function ensureApiParticipant({ room, role, participantId, apiToken, address = null }) {
+  const roomId = room.id;
+  const normalizedId = typeof participantId === 'string' ? participantId.trim().toUpperCase() : '';
+  if (normalizedId && !isValidParticipantId(normalizedId)) {
+    const error = new Error('participantId must be 20 chars (A-Z0-9) with at least one number.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let participant = normalizedId ? await getParticipantByClient(roomId, normalizedId) : null;
+  let finalParticipantId = normalizedId;
+
+  if (!participant && !finalParticipantId) {
+    finalParticipantId = createParticipantId();
+    while (await getParticipantByClient(roomId, finalParticipantId)) {
+      finalParticipantId = createParticipantId();
+    }
+  }
+
+  // Address bans only stop new participant IDs, so other participants on the same network keep access.
+  const ban = await findActiveBan(roomId, participant ? { clientId: participant.client_id } : { address });
+  if (ban) throw createHttpError(403, describeBan(ban));
+
+  const joinBlocked = getJoinBlockReason(room.status, Boolean(participant));
+  if (joinBlocked) throw createHttpError(403, joinBlocked);
+
+  if (participant?.api_token_revoked_at) {
+    const error = new Error('Credentials for this participantId were revoked. Join with a new participantId.');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (participant && !participant.api_token_hash) {
+    throw createHttpError(403, 'participantId was registered before API tokens were issued and cannot be rejoined. Join with a new participantId.');
+  }
+
+  if (participant && !verifyApiToken(apiToken, participant.api_token_hash)) {
+    const error = new Error('participantId is already registered. Send its API token as "Authorization: Bearer <token>" to rejoin.');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (participant && participant.role !== role) {
+    const error = new Error(`participantId already belongs to role "${participant.role}" in this room.`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const isPrimaryHuman = role === 'human' && (!participant ? !(await hasPrimaryHuman(roomId)) : Boolean(participant.is_primary_human));
+  const displayName = participant?.display_name || createDisplayName(role, isPrimaryHuman, finalParticipantId);
+
+  await upsertParticipant({
+    roomId,
+    socketId: `api:${finalParticipantId}`,
+    clientId: finalParticipantId,
+    role,
+    displayName,
+    isPrimaryHuman,
+    address,
+  });
+
+  const issuedToken = participant ? undefined : await issueApiToken(roomId, finalParticipantId);
+  await recordAudit(room, participant ? 'participant_joined' : 'participant_locked', {
+    actor: { clientId: finalParticipantId, role },
+    detail: { channel: 'rest', displayName, isPrimaryHuman },
+  });
+  participant = await getParticipantByClient(roomId, finalParticipantId);
+
+  return {
+    participantId: finalParticipantId,
+    apiToken: issuedToken,
+    role: participant.role,
+    isPrimaryHuman: Boolean(participant.is_primary_human),
+    isModerator: Boolean(participant.is_moderator),
+    displayName: participant.display_name,
+  };
+}
+
+function createDisplayName(role, isPrimaryHuman, participantId) {
+  if (role === 'human') return `${isPrimaryHuman ? 'MainHuman' : 'Human'}-${participantId}`;
+  return `${role === 'observer' ? 'Observer' : 'AI'}-${participantId}`;
+}
+
+function getRequestAddress(req) {
+  return getClientAddress(req.headers, req.socket.remoteAddress);
+}
+
+function describeBan(ban) {
+  return `You are banned from this room${ban.reason ? `: ${ban.reason}` : '.'}`;
+}
+
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function createRateLimitError(message, retryAfterMs) {
+  const error = createHttpError(429, message);
+  error.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return error;
+}
+
+// Rate limits apply to every sender; daily quotas only to AI participants. The quota is checked first
+// so an agent over its quota does not drain the room's bucket for everyone else. Usage is read from
+// stored messages and the send is saved afterwards, so concurrent sends can pass the quota by a few
+// messages; the participant's rate limit bounds how many.
+async function enforceSendLimits(room, sender, text) {
+  if (sender.role === 'ai') {
+    const { start, resetsAt } = getQuotaDay();
+    const [usage] = await getDailyUsage(room.id, start, sender.clientId);
+    const quotaError = checkDailyQuota(usage, text.length);
+    if (quotaError) {
+      throw createRateLimitError(`${quotaError} Quotas reset at ${resetsAt.toISOString()}.`, resetsAt - Date.now());
+    }
+  }
+
+  const rate = takeSendToken(room.id, sender.clientId);
+  if (!rate.allowed) {
+    throw createRateLimitError(rate.scope === 'room'
+      ? 'This room is receiving messages too quickly. Try again shortly.'
+      : 'You are sending messages too quickly. Try again shortly.', rate.retryAfterMs);
+  }
+}
+
+// Humans and observers see every AI participant's remaining quota; AI participants see only their own.
+async function getRoomQuota(room, viewer) {
+  const { start, resetsAt } = getQuotaDay();
+  const usage = new Map((await getDailyUsage(room.id, start)).map((entry) => [entry.clientId, entry]));
+  const agents = (await listParticipants(room.id))
+    .filter((participant) => participant.role === 'ai')
+    .filter((participant) => viewer.role !== 'ai' || participant.clientId === viewer.clientId);
+
+  return {
+    resetsAt,
+    limits: {
+      dailyMessages: DAILY_QUOTAS.messages || null,
+      dailyCharacters: DAILY_QUOTAS.characters || null,
+      rate: RATE_LIMITS,
+    },
+    participants: agents.map((participant) => ({
+      participantId: participant.clientId,
+      displayName: participant.displayName,
+      isOnline: participant.isOnline,
+      ...describeQuota(usage.get(participant.clientId)),
+    })),
+  };
+}
+
+async function registerWebhook(roomId, participantId, webhookUrl) {
+  const secret = createWebhookSecret();
+  await setParticipantWebhook(roomId, participantId, webhookUrl, secret);
+  return { url: webhookUrl, secret };
+}
+
+async function issueApiToken(roomId, participantId) {
+  const apiToken = createApiToken();
+  await setParticipantApiToken(roomId, participantId, hashApiToken(apiToken));
+  return apiToken;
+}
+
+async function authenticateRestParticipant(roomCode, participantId, apiToken) {
+  const normalizedRoomCode = normalizeRoomCode(roomCode);
+  if (!normalizedRoomCode || !isValidCode(normalizedRoomCode)) {
+    return { status: 400, error: 'Valid roomId path param is required.' };
+  }
+
+  const normalizedParticipantId = typeof participantId === 'string' ? participantId.trim().toUpperCase() : '';
+  if (!normalizedParticipantId || !isValidParticipantId(normalizedParticipantId)) {
+    return { status: 401, error: 'Valid participantId is required (query param or x-participant-id header).' };
+  }
+
+  const room = await getRoomByCode(normalizedRoomCode);
+  if (!room) return { status: 404, error: 'Room not found.' };
+
+  const participant = await getParticipantByClient(room.id, normalizedParticipantId);
+  if (!participant) return { status: 401, error: 'Participant is not registered in this room.' };
+
+  const ban = await findActiveBan(room.id, { clientId: participant.client_id });
+  if (ban) return { status: 403, error: describeBan(ban) };
+
+  if (participant.api_token_revoked_at) {
+    return { status: 401, error: 'API token was revoked for this participant.' };
+  }
+
+  if (!participant.api_token_hash) {
+    return { status: 401, error: 'No API token has been issued for this participant yet. Call POST /api/join to get one.' };
+  }
+
+  if (!apiToken) {
+    return { status: 401, error: 'API token is required (Authorization: Bearer <token>).' };
+  }
+
+  if (!verifyApiToken(apiToken, participant.api_token_hash)) {
+    return { status: 401, error: 'API token is invalid for this participant.' };
+  }
+
+  return { room, participant };
+}
+
+function emitRoomEvent(roomCode, event, payload) {
+  io.to(roomCode).emit(event, payload);
+  emitToRoomStreams(roomCode, event, payload);
+}
+
+function emitToRoomStreams(roomCode, event, payload, { publish = true } = {}) {
+  for (const stream of getRoomStreams(roomCode)) {
+    sendStreamEvent(stream, event, payload);
+  }
+  if (publish) publishRoomState('stream-room-event', { roomCode, event, payload });
+}
+
+// Webhooks and SSE streams receive a message at the same moments as live sockets of the same role.
+function deliverToRestParticipants(room, message, { roles }) {
+  void dispatchMessageWebhooks(room, message, { roles });
+  void pushMessageToStreams(room, message, { roles });
+  publishRoomState('stream-message', { room, message, roles });
+}
+
+async function pushMessageToStreams(room, message, { roles }) {
+  const streams = getRoomStreams(room.room_code)
+    .filter((stream) => roles.includes(stream.participant.role === 'ai' ? 'ai' : 'human'))
+    .filter((stream) => stream.participant.role !== 'ai' || isAddressedTo(message, stream.participant.client_id))
+    .filter((stream) => message.senderSocketId !== `api:${stream.participant.client_id}`);
+
+  for (const stream of streams) {
+    sendStreamEvent(stream, 'message-new', message);
+    try {
+      await advanceStreamCursor(stream, [message]);
+    } catch (error) {
+      console.error('Failed to advance stream cursor', error);
+    }
+  }
+}
+
+async function advanceStreamCursor(stream, messages) {
+  await updateParticipantCursor(stream.roomId, stream.participant.client_id, messages);
+
+  const readMessageIds = getIncomingUnreadMessageIdsForParticipant(messages, stream.participant);
+  if (readMessageIds.length > 0) {
+    await markRead(readMessageIds);
+    emitRoomEvent(stream.roomCode, 'messages-read', { messageIds: readMessageIds });
+  }
+}
+
+// Every node keeps its own copy of each room's interject flag and pending queue. Changes are published
+// to the other nodes, and each node reports pending-delay updates to its own sockets only.
+function publishRoomState(event, payload) {
+  if (clusterEnabled) io.serverSideEmit(event, payload);
+}
+
+function setInterjectActive(roomCode, active, { publish = true } = {}) {
+  ensureRoomState(roomCode).interjectActive = active;
+  if (publish) publishRoomState('interject-changed', { roomCode, active });
+}
+
+function clearQueuedAiReleases(roomCode, { publish = true } = {}) {
+  const state = ensureRoomState(roomCode);
+  for (const entry of state.pending) {
+    clearTimeout(entry.timer);
+  }
+  state.pending = [];
+  if (publish) publishRoomState('ai-releases-cleared', { roomCode });
+}
+
+function emitPendingDelayUpdate(roomCode) {
+  const state = ensureRoomState(roomCode);
+  const payload = {
+    pending: state.pending.map((entry) => ({ messageId: entry.messageId, releaseAt: entry.releaseAt })),
+  };
+  io.local.to(roomCode).emit('pending-delay-update', payload);
+  emitToRoomStreams(roomCode, 'pending-delay-update', payload, { publish: false });
+}
+
+function queueAiRelease(roomCode, message, { publish = true } = {}) {
+  const state = ensureRoomState(roomCode);
+  if (state.pending.some((entry) => entry.messageId === message.id)) return;
+  const releaseAt = new Date(message.delayedForAiUntil).getTime();
+
+  const entry = {
+    messageId: message.id,
+    senderSocketId: message.senderSocketId,
+    releaseAt,
+    createdAt: new Date(message.createdAt).getTime(),
+    blocked: false,
+    message,
+  };
+  entry.timer = setTimeout(() => releaseQueuedAiMessage(roomCode, entry.message), Math.max(0, releaseAt - Date.now()));
+  state.pending.push(entry);
+  emitPendingDelayUpdate(roomCode);
+  if (publish) publishRoomState('ai-release-queued', { roomCode, message });
+}
+
+function removeQueuedAiRelease(roomCode, messageId, { publish = true } = {}) {
+  const state = ensureRoomState(roomCode);
+  const entry = state.pending.find((pending) => pending.messageId === messageId);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  state.pending = state.pending.filter((pending) => pending !== entry);
+  emitPendingDelayUpdate(roomCode);
+  if (publish) publishRoomState('ai-release-removed', { roomCode, messageId });
+}
+
+function updateQueuedAiRelease(roomCode, message, { publish = true } = {}) {
+  const entry = ensureRoomState(roomCode).pending.find((pending) => pending.messageId === message.id);
+  if (entry) entry.message = message;
+  if (publish) publishRoomState('ai-release-updated', { roomCode, message });
+}
+
+async function releaseQueuedAiMessage(roomCode, message) {
+  const state = ensureRoomState(roomCode);
+  state.pending = state.pending.filter((entry) => entry.messageId !== message.id);
+
+  try {
+    if (!state.interjectActive && await markMessageReleased(message.id)) {
+      const room = await getRoomByCode(roomCode);
+      await deliverReleasedAiMessage(roomCode, room, message);
+      observeReleaseLatency(message, 'delay');
+      emitRoomEvent(roomCode, 'toast-update', {
+        level: 'info',
+        message: 'AI delay window ended. Message is now delivered to AI participants.',
+      });
+    }
+  } catch (error) {
+    console.error('AI delay release error', error);
+  }
+
+  emitPendingDelayUpdate(roomCode);
+}
+
+async function deliverReleasedAiMessage(roomCode, room, message) {
+  const roomMembers = await io.in(roomCode).fetchSockets();
+  for (const member of roomMembers) {
+    if (member.id === message.senderSocketId) continue;
+    if (member.data.role === 'ai' && isAddressedTo(message, member.data.clientId)) {
+      member.emit('message-new', message);
+    }
+  }
+  if (room) deliverToRestParticipants(room, message, { roles: ['ai'] });
+}
+
+// Every AI message is counted against the room's loop thresholds, and a human message resets the
+// count. Returns the room's active trip, if any; while one is active AI messages are held from AI
+// participants.
+async function checkAiLoop(room, { senderRole, senderClientId, body }, settings) {
+  const activity = { senderRole, senderClientId, body, createdAt: Date.now() };
+  const tripped = observeMessage(ensureRoomState(room.room_code).aiActivity, activity, settings);
+  publishRoomState('loop-activity', { roomCode: room.room_code, activity, settings });
+
+  const active = await getActiveLoopTrip(room.id);
+  if (active || !tripped) return active;
+  return tripLoopGuard(room, tripped);
+}
+
+async function tripLoopGuard(room, { reason, detail }) {
+  const trip = await recordLoopTrip(room.id, { reason, detail });
+
+  await setRoomPause(room.id, true);
+  await recordAudit(room, 'ai_paused', { actor: LOOP_GUARD_ACTOR, detail: { tripId: trip.id, reason, detail } });
+  clearQueuedAiReleases(room.room_code);
+  await holdPendingAiReleases(room.id);
+  emitPendingDelayUpdate(room.room_code);
+
+  emitRoomEvent(room.room_code, 'pause-updated', { pauseAi: true });
+  emitRoomEvent(room.room_code, 'loop-guard-tripped', { trip });
+  emitRoomEvent(room.room_code, 'toast-update', {
+    level: 'warning',
+    message: `Runaway AI loop detected. ${detail} AI traffic is paused until a human resumes it.`,
+  });
+  return trip;
+}
+
+// Clears any loop trip and hands held messages to AI participants. AI messages held by the loop guard
+// never reached AI sockets, so they are delivered the way a delayed AI message is released.
+async function resumeAiTraffic(room, actor) {
+  const trip = await resolveLoopTrip(room.id, actor.clientId || 'human');
+  if (trip) {
+    ensureRoomState(room.room_code).aiActivity = [];
+    publishRoomState('loop-activity-cleared', { roomCode: room.room_code });
+    await recordAudit(room, 'loop_guard_resumed', { actor, detail: { tripId: trip.id, reason: trip.reason } });
+    emitRoomEvent(room.room_code, 'loop-guard-cleared', { trip });
+  }
+
+  const released = await releaseHeldMessages(room.id);
+  if (released.length === 0) return;
+
+  io.to(room.room_code).emit('release-held-messages', { messageIds: released.map((message) => message.id) });
+  for (const message of released) {
+    observeReleaseLatency(message, 'resumed');
+    if (message.senderRole === 'ai') {
+      if (message.delayedForAiUntil) await markMessageReleased(message.id);
+      await deliverReleasedAiMessage(room.room_code, room, message);
+    } else {
+      deliverToRestParticipants(room, message, { roles: ['ai'] });
+    }
+  }
+}
+
+async function setAiPause(room, pauseAi, actor) {
+  await setRoomPause(room.id, pauseAi);
+  emitRoomEvent(room.room_code, 'pause-updated', { pauseAi });
+  await recordAudit(room, pauseAi ? 'ai_paused' : 'ai_resumed', { actor });
+  if (!pauseAi) await resumeAiTraffic(room, actor);
+}
+
+function countSentMessage(message, channel) {
+  messagesSent.inc({ role: message.senderRole, channel });
+  if (message.heldForAi) messagesHeldForAi.inc({ role: message.senderRole, channel });
+}
+
+// Queue gauges are labelled by room id rather than room code, because room codes work like passwords.
+// Every node mirrors the pending queue, so in cluster mode each node reports the same depth.
+async function collectLiveGauges() {
+  const depth = [];
+  const overdue = [];
+  const now = Date.now();
+  for (const [roomCode, state] of roomState) {
+    if (state.pending.length === 0) continue;
+    const room = await getRoomByCode(roomCode).catch(() => null);
+    if (!room) continue;
+    depth.push({ labels: { room_id: room.id }, value: state.pending.length });
+    const oldestDue = Math.min(...state.pending.filter((entry) => !entry.blocked).map((entry) => entry.releaseAt));
+    overdue.push({ labels: { room_id: room.id }, value: Number.isFinite(oldestDue) ? Math.max(0, (now - oldestDue) / 1000) : 0 });
+  }
+
+  const socketsByRole = new Map();
+  for (const socket of io.of('/').sockets.values()) {
+    const role = socket.data.roomCode ? socket.data.role || 'unknown' : 'lobby';
+    socketsByRole.set(role, (socketsByRole.get(role) || 0) + 1);
+  }
+
+  return [
+    { name: 'aladdin_ai_delay_queue_depth', help: 'AI messages waiting in the AI-to-AI delay window, per room.', samples: depth },
+    { name: 'aladdin_ai_delay_queue_overdue_seconds', help: 'Seconds the oldest pending AI release is past its release time, per room. Above zero means the queue is stuck.', samples: overdue },
+    { name: 'aladdin_rooms_interject_active', help: 'Rooms with an emergency interject in progress.', samples: [{ value: [...roomState.values()].filter((state) => state.interjectActive).length }] },
+    { name: 'aladdin_connected_sockets', help: 'Socket.IO connections to this node, by participant role (lobby before joining a room).', samples: [...socketsByRole].map(([role, value]) => ({ labels: { role }, value })) },
+  ];
+}
+
+function getRestActor(participant) {
+  return {
+    clientId: participant.client_id,
+    socketId: `api:${participant.client_id}`,
+    role: participant.role,
+    isPrimaryHuman: participant.role === 'human' && Boolean(participant.is_primary_human),
+    isModerator: participant.role === 'human' && Boolean(participant.is_moderator),
+  };
+}
+
+function getSocketActor(socket) {
+  return {
+    clientId: socket.data.clientId,
+    role: socket.data.role,
+    isPrimaryHuman: socket.data.role === 'human' && Boolean(socket.data.isPrimaryHuman),
+  };
+}
+
+function isOwnMessage(message, actor) {
+  if (message.senderClientId) return message.senderClientId === actor.clientId;
+  return message.senderSocketId === actor.socketId || message.senderSocketId === `api:${actor.clientId}`;
+}
+
+// Mirrors the store's timing rules for AI viewers; addressing is checked separately with isAddressedTo.
+function isMessageVisibleToAi(message) {
+  if (message.heldForAi || message.blockedByInterject || message.reviewState === 'rejected') return false;
+  return !message.delayedForAiUntil || new Date(message.delayedForAiUntil) <= new Date();
+}
+
+// A reply may only point at a message the sender can see, so AI participants cannot probe for
+// messages that are still held or delayed for them.
+async function resolveReplyTo(room, replyTo, actor) {
+  if (replyTo === undefined || replyTo === null || replyTo === '') return null;
+
+  const parent = MESSAGE_ID_PATTERN.test(String(replyTo)) ? await getMessageById(room.id, replyTo) : null;
+  const canSeeParent = parent && (actor.role !== 'ai'
+    || (isMessageVisibleToAi(parent) && isAddressedTo(parent, actor.clientId))
+    || isOwnMessage(parent, actor));
+  if (!canSeeParent) {
+    throw createHttpError(400, 'replyTo must be the ID of a message in this room.');
+  }
+  return parent.id;
+}
+
+async function handleSocketMessageChange(socket, { roomCode, messageId, action, text }) {
+  if (!roomCode || socket.data.roomCode !== roomCode) return;
+
+  try {
+    const room = await getRoomByCode(roomCode);
+    if (!room) return;
+
+    await changeMessage(room, {
+      clientId: socket.data.clientId,
+      socketId: socket.id,
+      role: socket.data.role,
+      isPrimaryHuman: socket.data.role === 'human' && Boolean(socket.data.isPrimaryHuman),
+    }, { messageId, action, text });
+  } catch (error) {
+    if (error.statusCode) {
+      socket.emit('chat-error', error.message);
+      return;
+    }
+    console.error(`${action}-message error`, error);
+  }
+}
+
+async function changeMessage(room, actor, { messageId, action, text }) {
+  const changeBlocked = getSendBlockReason(room.status);
+  if (changeBlocked) throw createHttpError(409, changeBlocked);
+
+  const message = MESSAGE_ID_PATTERN.test(String(messageId || ''))
+    ? await getMessageById(room.id, messageId)
+    : null;
+  if (!message) throw createHttpError(404, 'Message not found.');
+  if (message.deletedAt) throw createHttpError(409, 'Message was already deleted.');
+
+  const isOwn = Boolean(actor.clientId) && isOwnMessage(message, actor);
+  let updated = null;
+
+  if (action === 'edit') {
+    if (!isOwn) throw createHttpError(403, 'Only the sender can edit a message.');
+    const cleanText = String(text || '').trim().slice(0, 5000);
+    if (!cleanText) throw createHttpError(400, 'text is required.');
+    updated = await editMessage(room.id, message.id, cleanText, actor.clientId);
+  } else {
+    if (!isOwn && !actor.isPrimaryHuman) {
+      throw createHttpError(403, 'Only the sender or the first human in this room can delete a message.');
+    }
+    updated = await deleteMessage(room.id, message.id, actor.clientId);
+  }
+
+  if (!updated) throw createHttpError(409, 'Message was already deleted.');
+
+  if (action === 'edit') {
+    updateQueuedAiRelease(room.room_code, updated);
+  } else {
+    removeQueuedAiRelease(room.room_code, updated.id);
+  }
+
+  await broadcastMessageChange(room, updated, action === 'edit' ? 'message-edited' : 'message-retracted');
+  return updated;
+}
+
+// AI participants only hear about changes to messages they could already see; a pending or held
+// message reaches them in its latest form (or not at all) when it is released.
+async function broadcastMessageChange(room, message, event) {
+  const aiCanSee = isMessageVisibleToAi(message);
+  const roomMembers = await io.in(room.room_code).fetchSockets();
+  for (const member of roomMembers) {
+    const canSee = aiCanSee && isAddressedTo(message, member.data.clientId);
+    if (member.data.role === 'ai' && !canSee && member.id !== message.senderSocketId) continue;
+    member.emit(event, message);
+  }
+  pushMessageChangeToStreams(room.room_code, message, event);
+  publishRoomState('stream-message-change', { roomCode: room.room_code, message, event });
+  void dispatchMessageWebhooks(room, message, { roles: aiCanSee ? ['human', 'ai'] : ['human'], event });
+}
+
+function pushMessageChangeToStreams(roomCode, message, event) {
+  const aiCanSee = isMessageVisibleToAi(message);
+  for (const stream of getRoomStreams(roomCode)) {
+    const isSender = message.senderSocketId === `api:${stream.participant.client_id}`;
+    const canSee = aiCanSee && isAddressedTo(message, stream.participant.client_id);
+    if (stream.participant.role === 'ai' && !canSee && !isSender) continue;
+    sendStreamEvent(stream, event, message);
+  }
+}
+
+// The primary human and moderators share pause and interject rights.
+function hasControlRights(participant) {
+  return participant.role === 'human' && (Boolean(participant.isPrimaryHuman) || Boolean(participant.isModerator));
+}
+
+function canTogglePause(participant, settings) {
+  if (participant.role !== 'human') return false;
+  return hasControlRights(participant) || settings.pauseControl === 'any_human';
+}
+
+// transfer hands the primary role to another human; grant_moderator and revoke_moderator share or
+// withdraw pause and interject rights. Only the current primary human can do either.
+async function changeRoomControl(room, actor, { action, participantId }) {
+  if (!actor.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the primary human can hand off or share control.');
+  }
+  if (!CONTROL_ACTIONS.includes(action)) {
+    throw createHttpError(400, `action must be one of: ${CONTROL_ACTIONS.join(', ')}.`);
+  }
+
+  const targetId = String(participantId || '').trim().toUpperCase();
+  const target = targetId ? await getParticipantByClient(room.id, targetId) : null;
+  if (!target) throw createHttpError(404, 'Participant not found.');
+  if (target.role !== 'human') throw createHttpError(400, 'Control can only be shared with human participants.');
+  if (target.client_id === actor.clientId) throw createHttpError(400, 'You already hold control.');
+
+  const changed = action === 'transfer'
+    ? await transferPrimaryHuman(room.id, actor.clientId, target.client_id)
+    : await setParticipantModerator(room.id, target.client_id, action === 'grant_moderator');
+  if (!changed) throw createHttpError(409, 'Control could not be changed. Refresh the participant list and try again.');
+
+  const participants = await listParticipants(room.id);
+  const control = {
+    primaryHumanId: participants.find((participant) => participant.isPrimaryHuman)?.clientId || null,
+    moderatorIds: participants.filter((participant) => participant.isModerator).map((participant) => participant.clientId),
+  };
+  await applyControlToSockets(room.room_code, { ...control, participants });
+  publishRoomState('control-changed', { roomCode: room.room_code, ...control, participants });
+
+  emitRoomEvent(room.room_code, 'control-updated', { action, participantId: target.client_id, changedBy: actor.clientId, ...control });
+  await recordAudit(room, 'control_changed', { actor, targetId: target.client_id, detail: { action } });
+  await emitParticipantUpdate(room.room_code, room.id);
+  return control;
+}
+
+// Live sockets cache their participant's rights, so each node refreshes its own sockets after a change.
+async function applyControlToSockets(roomCode, { primaryHumanId, moderatorIds, participants }) {
+  const names = new Map(participants.map((participant) => [participant.clientId, participant.displayName]));
+  for (const member of await io.local.in(roomCode).fetchSockets()) {
+    const { clientId } = member.data;
+    if (!clientId || member.data.role !== 'human') continue;
+    member.data.isPrimaryHuman = clientId === primaryHumanId;
+    member.data.isModerator = moderatorIds.includes(clientId);
+    member.data.displayName = names.get(clientId) || member.data.displayName;
+  }
+}
+
+// kick closes the participant's live sockets and event streams, and they may rejoin. ban also records a
+// ban that rejects the participant ID until it is lifted, and with blockAddress any new participant ID
+// joining from the address the participant last connected from.
+async function removeParticipant(room, actor, { action, participantId, reason, blockAddress = false }) {
+  if (!actor.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the primary human can kick or ban participants.');
+  }
+  if (!REMOVAL_ACTIONS.includes(action)) {
+    throw createHttpError(400, `action must be one of: ${REMOVAL_ACTIONS.join(', ')}.`);
+  }
+
+  const targetId = String(participantId || '').trim().toUpperCase();
+  const target = targetId ? await getParticipantByClient(room.id, targetId) : null;
+  if (!target) throw createHttpError(404, 'Participant not found.');
+  if (target.client_id === actor.clientId) throw createHttpError(400, 'You cannot remove yourself from the room.');
+
+  const cleanReason = String(reason || '').trim().slice(0, 500) || null;
+  let ban = null;
+  if (action === 'ban') {
+    if (await findActiveBan(room.id, { clientId: target.client_id })) {
+      throw createHttpError(409, 'Participant is already banned.');
+    }
+    ban = await createBan({
+      roomId: room.id,
+      clientId: target.client_id,
+      displayName: target.display_name,
+      address: blockAddress ? target.last_address : null,
+      reason: cleanReason,
+      bannedBy: actor.clientId,
+    });
+    if (target.is_moderator) await setParticipantModerator(room.id, target.client_id, false);
+  }
+
+  const notice = { roomId: room.room_code, action, reason: cleanReason };
+  await disconnectParticipant(room.room_code, target.client_id, notice);
+  publishRoomState('participant-disconnect', { roomCode: room.room_code, clientId: target.client_id, notice });
+
+  emitRoomEvent(room.room_code, 'participant-removed', {
+    action,
+    participantId: target.client_id,
+    displayName: target.display_name,
+    removedBy: actor.clientId,
+    reason: cleanReason,
+  });
+  await recordAudit(room, 'participant_removed', {
+    actor,
+    targetId: target.client_id,
+    detail: { action, reason: cleanReason, blockAddress: Boolean(ban?.blocksAddress) },
+  });
+  await emitParticipantUpdate(room.room_code, room.id);
+  return { action, participantId: target.client_id, ban };
+}
+
+// Each node closes the sockets and event streams it holds for a removed participant, telling them why first.
+async function disconnectParticipant(roomCode, clientId, notice) {
+  for (const member of await io.local.in(roomCode).fetchSockets()) {
+    if (member.data.clientId !== clientId) continue;
+    member.emit('removed-from-room', notice);
+    member.disconnect(true);
+  }
+  for (const stream of getRoomStreams(roomCode)) {
+    if (stream.participant.client_id !== clientId) continue;
+    sendStreamEvent(stream, 'removed-from-room', notice);
+    closeStream(stream);
+  }
+}
+
+async function changeRoomStatus(room, actor, status) {
+  if (!actor.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the primary human can archive, close or reopen the room.');
+  }
+  return applyRoomStatus(room, status, actor);
+}
+
+async function applyRoomStatus(room, status, actor) {
+  if (!ROOM_STATUSES.includes(status)) {
+    throw createHttpError(400, `status must be one of: ${ROOM_STATUSES.join(', ')}.`);
+  }
+  if (room.status === status) throw createHttpError(409, `Room is already ${status}.`);
+
+  const updated = await setRoomStatus(room.id, status, actor.clientId);
+  const change = { status: updated.status, changedBy: updated.status_changed_by, changedAt: updated.status_changed_at };
+  emitRoomEvent(room.room_code, 'room-status-updated', change);
+  await recordAudit(room, 'room_status_changed', { actor, detail: { from: room.status, to: updated.status } });
+  return change;
+}
+
+async function deleteRoomAsParticipant(room, actor) {
+  if (!actor.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the primary human can delete the room.');
+  }
+  if (!(await purgeRoom(room, { deletedBy: actor.clientId, reason: 'deleted' }))) {
+    throw createHttpError(404, 'Room not found.');
+  }
+}
+
+// Deletes the room and every row that belongs to it, then closes its sockets and event streams on
+// every node. Queued AI releases are dropped first so their timers never fire for a missing room.
+async function purgeRoom(room, { deletedBy = null, reason }) {
+  clearQueuedAiReleases(room.room_code);
+  if (!(await deleteRoom(room.id))) return false;
+
+  emitRoomEvent(room.room_code, 'room-deleted', { roomId: room.room_code, deletedBy, reason });
+  disconnectRoom(room.room_code);
+  publishRoomState('room-disconnect', { roomCode: room.room_code });
+  return true;
+}
+
+function disconnectRoom(roomCode) {
+  io.local.in(roomCode).disconnectSockets(true);
+  for (const stream of getRoomStreams(roomCode)) {
+    closeStream(stream);
+  }
+  roomState.delete(roomCode);
+}
+
+async function expireInactiveRooms() {
+  try {
+    for (const room of await listExpiredRooms(DEFAULT_ROOM_SETTINGS.inactiveExpiryHours)) {
+      if (await purgeRoom(room, { reason: 'expired' })) {
+        console.log(`Room ${room.room_code} was deleted after its inactivity expiry.`);
+      }
+    }
+  } catch (error) {
+    console.error('Room expiry sweep failed', error);
+  }
+}
+
+// Audit writes never fail the action being recorded; a failed write is logged and skipped. The
+// primary human's sockets receive each event live for the audit timeline.
+async function recordAudit(room, action, { actor = null, targetId = null, detail = null } = {}) {
+  try {
+    const event = await recordAuditEvent({
+      roomId: room.id,
+      action,
+      actorId: actor?.clientId || null,
+      actorRole: actor?.role || null,
+      targetId,
+      detail,
+    });
+    const members = await io.in(room.room_code).fetchSockets();
+    for (const member of members) {
+      if (member.data.role === 'human' && member.data.isPrimaryHuman) member.emit('audit-event', event);
+    }
+  } catch (error) {
+    console.error(`Unable to record audit event ${action}`, error);
+  }
+}
+
+async function loadAuditTimeline(room, actor, { before, limit } = {}) {
+  if (!actor.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the primary human can view the audit log.');
+  }
+  if (before && !/^\d+$/.test(String(before))) {
+    throw createHttpError(400, 'before must be an audit event ID.');
+  }
+
+  const pageSize = parseHistoryLimit(limit);
+  const events = await listAuditEvents(room.id, { before: before ? String(before) : null, limit: pageSize + 1 });
+  return { events: events.slice(0, pageSize), hasMore: events.length > pageSize };
+}
+
+async function getAdminRoom(roomCode) {
+  const room = await getRoomByCode(normalizeRoomCode(roomCode));
+  if (!room) throw createHttpError(404, 'Room not found.');
+  return room;
+}
+
+// roomState is kept per node, but interject flags and pending AI releases are mirrored to every node,
+// so any node can report them. Socket and stream counts cover this node only.
+function describeLiveRoomState(roomCode) {
+  const state = roomState.get(roomCode);
+  return {
+    interjectActive: Boolean(state?.interjectActive),
+    pending: (state?.pending || []).map((entry) => ({
+      messageId: entry.messageId,
+      releaseAt: new Date(entry.releaseAt).toISOString(),
+      blocked: entry.blocked,
+    })),
+    recentAiMessages: state?.aiActivity.length || 0,
+    connectedSockets: io.of('/').adapter.rooms.get(roomCode)?.size || 0,
+    eventStreams: getRoomStreams(roomCode).length,
+  };
+}
+
+async function listRoomBans(room, actor) {
+  if (!actor.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the primary human can view bans.');
+  }
+  return listBans(room.id);
+}
+
+async function liftParticipantBan(room, actor, banId) {
+  if (!actor.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the primary human can lift bans.');
+  }
+
+  const ban = /^\d+$/.test(String(banId || '')) ? await liftBan(room.id, String(banId), actor.clientId) : null;
+  if (!ban) throw createHttpError(404, 'Active ban not found.');
+
+  emitRoomEvent(room.room_code, 'ban-lifted', { participantId: ban.participantId, liftedBy: actor.clientId });
+  await recordAudit(room, 'ban_lifted', { actor, targetId: ban.participantId, detail: { banId: ban.id } });
+  return ban;
+}
 
-      await setRoomPause(room.id, Boolean(pauseAi));
-      io.to(roomCode).emit('pause-updated', { pauseAi: Boolean(pauseAi) });
+async function updateRoomSettings(room, actor, input) {
+  if (!actor.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the first human in this room can change room settings.');
+  }
 
-      if (!pauseAi) {
-        const pending = await pool.query(
-          `SELECT m.* FROM messages m
-           WHERE m.room_id = $1 AND m.held_for_ai = TRUE
-           ORDER BY m.created_at ASC`,
-          [room.id],
-        );
+  const { patch, error } = parseRoomSettingsPatch(input);
+  if (error) throw createHttpError(400, error);
 
-        if (pending.rows.length > 0) {
-          await pool.query('UPDATE messages SET held_for_ai = FALSE WHERE room_id = $1 AND held_for_ai = TRUE', [room.id]);
-          io.to(roomCode).emit('release-held-messages', { messageIds: pending.rows.map((m) => m.id) });
-        }
-      }
-    } catch (error) {
-      console.error('toggle-pause-ai error', error);
-    }
-  });
+  const current = await loadRoomSettings(room.id);
+  const settings = await saveRoomSettings(room.id, { ...current, ...patch }, actor.clientId);
+  emitRoomEvent(room.room_code, 'room-settings-updated', { settings });
+  return settings;
+}
 
-  socket.on('start-interject', async ({ roomCode }) => {
-    if (!roomCode || socket.data.role !== 'human' || !socket.data.isPrimaryHuman) return;
-    const state = ensureRoomState(roomCode);
-    state.interjectActive = true;
-
-    const pendingToQueue = [...state.pending].sort((a, b) => a.createdAt - b.createdAt);
-
-    for (const pending of pendingToQueue) {
-      clearTimeout(pending.timer);
-      pending.blocked = true;
-      await blockMessageByInterject(pending.messageId);
-      const roomMembers = io.sockets.adapter.rooms.get(roomCode) || new Set();
-      for (const memberId of roomMembers) {
-        if (memberId === pending.senderSocketId) continue;
-        const memberSocket = io.sockets.sockets.get(memberId);
-        if (memberSocket?.data.role === 'ai') {
-          memberSocket.emit('message-new', pending.message);
-        }
-      }
-      await markMessageReleased(pending.messageId);
-    }
+function parseHistoryLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_HISTORY_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+    throw createHttpError(400, `limit must be a whole number between 1 and ${MAX_HISTORY_LIMIT}.`);
+  }
+  return limit;
+}
 
-    state.pending = [];
-    io.to(roomCode).emit('interject-updated', { active: true });
-    io.to(roomCode).emit('pending-delay-update', { pending: [] });
-    io.to(roomCode).emit('toast-update', {
-      level: 'warning',
-      message: 'Awaiting human interjection... queued AI messages were released to AI participants.',
-    });
-  });
+// `before` pages back from a message, `after` pages forward from one, and neither returns the newest page.
+async function loadHistoryPage(room, viewer, { before, after, limit } = {}) {
+  if (before && after) throw createHttpError(400, 'Use either before or after, not both.');
+  const cursorName = before ? 'before' : 'after';
+  const cursorId = before || after || null;
+  if (cursorId && !MESSAGE_ID_PATTERN.test(String(cursorId))) {
+    throw createHttpError(400, `${cursorName} must be a message ID.`);
+  }
 
-  socket.on('send-message', async ({ roomCode, text, emergencyInterject = false, taskState = 'none', taskDescription = '' }) => {
-    if (!roomCode || !text || !text.trim()) return;
+  const page = await getMessagePage(room.id, {
+    before: before || null,
+    after: after || null,
+    limit: parseHistoryLimit(limit),
+  }, viewer.role, viewer.socketId, viewer.clientId);
+  if (!page) throw createHttpError(404, `${cursorName} does not match a message in this room.`);
+  return page;
+}
 
-    try {
-      const room = await getRoomByCode(roomCode);
-      if (!room) return;
+function getParticipantViewer(participant) {
+  return {
+    role: participant.role,
+    socketId: participant.socket_id || `api:${participant.client_id}`,
+    clientId: participant.client_id,
+  };
+}
 
-      if (!socket.data.clientId) {
-        let assignedClientId = createClientId();
-        while (await getParticipantByClient(room.id, assignedClientId)) {
-          assignedClientId = createClientId();
-        }
+// task_update and task_complete attach to taskId, or to the sender's most recently started open task
+// when no taskId is given. task_start needs no lookup; its task is opened by startMessageTask once the
+// send has passed validation and limits.
+async function resolveMessageTask(room, sender, { taskState, taskId }) {
+  if (taskState !== 'task_update' && taskState !== 'task_complete') return null;
 
-        const assignedRole = socket.data.role === 'human' ? 'human' : 'ai';
-        const assignedPrimaryHuman = assignedRole === 'human' ? !(await hasPrimaryHuman(room.id)) : false;
-        const assignedDisplayName = assignedRole === 'human'
-          ? `${assignedPrimaryHuman ? 'MainHuman' : 'Human'}-${assignedClientId}`
-          : `AI-${assignedClientId}`;
+  if (taskId && !MESSAGE_ID_PATTERN.test(String(taskId))) {
+    throw createHttpError(400, 'taskId must be a task ID.');
+  }
 
-        await upsertParticipant({
-          roomId: room.id,
-          socketId: socket.id,
-          clientId: assignedClientId,
-          role: assignedRole,
-          displayName: assignedDisplayName,
-          isPrimaryHuman: assignedPrimaryHuman,
-        });
+  const task = taskId ? await getTaskById(room.id, String(taskId)) : await findOpenTaskForOwner(room.id, sender.clientId);
+  if (!task) {
+    throw taskId
+      ? createHttpError(404, 'Task not found.')
+      : createHttpError(400, 'taskId is required: you have no open task to attach this message to.');
+  }
+  if (task.ownerId !== sender.clientId) {
+    throw createHttpError(403, 'Only the agent that started a task can update or complete it.');
+  }
+  if (task.status === 'cancelled') {
+    throw createHttpError(409, `Task was cancelled by a human${task.cancelReason ? `: ${task.cancelReason}` : '.'}`);
+  }
+  if (task.status !== 'open') {
+    throw createHttpError(409, 'Task is already completed.');
+  }
+  return task;
+}
 
-        socket.data.clientId = assignedClientId;
-        socket.data.displayName = assignedDisplayName;
-        socket.data.isPrimaryHuman = assignedPrimaryHuman;
+function startMessageTask(room, sender, taskDescription) {
+  return createTask({
+    roomId: room.id,
+    ownerId: sender.clientId,
+    ownerDisplayName: sender.displayName,
+    description: taskDescription,
+  });
+}
 
-        socket.emit('role-locked', {
-          role: assignedRole,
-          displayName: assignedDisplayName,
-          isPrimaryHuman: assignedPrimaryHuman,
-        });
-        await emitParticipantUpdate(roomCode, room.id);
-      }
+async function applyMessageTask(room, task, { taskState, taskDescription }) {
+  if (!task) return;
 
-      const cleanText = text.trim().slice(0, 5000);
-      const senderRole = socket.data.role === 'human' ? 'human' : 'ai';
-      const roles = await getParticipantRoles(room.id);
-      const hasHuman = roles.includes('human');
-      const heldForAi = room.pause_ai && hasHuman && senderRole === 'human' && !emergencyInterject;
-      const safeTaskState = ['none', 'task_start', 'task_update', 'task_complete'].includes(taskState) ? taskState : 'none';
-      const safeTaskDescription = String(taskDescription || '').trim().slice(0, 500);
-      const delayedForAiUntil = senderRole === 'ai' ? new Date(Date.now() + AI_MESSAGE_DELAY_MS).toISOString() : null;
+  const updated = taskState === 'task_start'
+    ? task
+    : await recordTaskProgress(room.id, task.id, { note: taskDescription, complete: taskState === 'task_complete' });
+  if (updated) emitRoomEvent(room.room_code, 'task-updated', { task: withTaskDuration(updated) });
+}
 
-      const senderDisplayName = socket.data.displayName || (senderRole === 'human' ? 'Human' : 'AI');
-      const message = await saveMessage({
-        roomId: room.id,
-        senderSocketId: socket.id,
-        senderRole,
-        senderDisplayName,
-        body: cleanText,
-        status: 'sent',
-        emergencyInterject,
-        heldForAi,
-        taskState: safeTaskState,
-        taskDescription: safeTaskDescription || null,
-        delayedForAiUntil,
-      });
+// The owning agent hears about a cancellation as a room event on sockets and streams, and on its webhook.
+async function cancelRoomTask(room, actor, { taskId, reason }) {
+  if (actor.role !== 'human') {
+    throw createHttpError(403, 'Only human participants can cancel tasks.');
+  }
 
-      const isHumanInterjection = senderRole === 'human' && Boolean(emergencyInterject);
-      const outboundMessage = isHumanInterjection
-        ? { ...message, humanInterjection: true, interjectionFlag: 'HUMAN' }
-        : message;
+  const existing = MESSAGE_ID_PATTERN.test(String(taskId || '')) ? await getTaskById(room.id, String(taskId)) : null;
+  if (!existing) throw createHttpError(404, 'Task not found.');
 
-      const roomSockets = io.sockets.adapter.rooms.get(roomCode) || new Set();
-      const recipientSockets = [...roomSockets].filter((id) => id !== socket.id);
-      const recipients = recipientSockets.map((id) => io.sockets.sockets.get(id)).filter(Boolean);
-      const aiRecipients = recipients.filter((recipient) => recipient.data.role === 'ai');
-      const nonAiRecipients = recipients.filter((recipient) => recipient.data.role !== 'ai');
+  const cleanReason = String(reason || '').trim().slice(0, 500) || null;
+  const cancelled = await cancelTask(room.id, existing.id, actor.clientId || null, cleanReason);
+  if (!cancelled) throw createHttpError(409, `Task is already ${existing.status}.`);
 
-      socket.emit('message-new', outboundMessage);
-      for (const recipient of nonAiRecipients) {
-        recipient.emit('message-new', outboundMessage);
-      }
+  const task = withTaskDuration(cancelled);
+  emitRoomEvent(room.room_code, 'task-updated', { task });
+  emitRoomEvent(room.room_code, 'task-cancelled', { task });
+  void dispatchParticipantWebhook(room, task.ownerId, 'task-cancelled', { task });
+  return task;
+}
 
-      const shouldSendToAiImmediately = senderRole === 'human' && (!heldForAi || isHumanInterjection);
-      if (shouldSendToAiImmediately) {
-        for (const recipient of aiRecipients) {
-          recipient.emit('message-new', outboundMessage);
-        }
-      }
+function withTaskDuration(task) {
+  const end = task.closedAt ? new Date(task.closedAt) : new Date();
+  return { ...task, durationMs: Math.max(0, end - new Date(task.startedAt)) };
+}
 
-      if (senderRole === 'ai' && aiRecipients.length > 0) {
-        const state = ensureRoomState(roomCode);
-        const releaseAt = Date.now() + AI_MESSAGE_DELAY_MS;
-        const pendingEntry = {
-          messageId: message.id,
-          senderSocketId: socket.id,
-          releaseAt,
-          createdAt: Date.now(),
-          blocked: false,
-          message: outboundMessage,
-          timer: setTimeout(async () => {
-            const currentState = ensureRoomState(roomCode);
-            currentState.pending = currentState.pending.filter((entry) => entry.messageId !== message.id);
-
-            if (!currentState.interjectActive) {
-              const roomMembers = io.sockets.adapter.rooms.get(roomCode) || new Set();
-              for (const memberId of roomMembers) {
-                if (memberId === socket.id) continue;
-                const memberSocket = io.sockets.sockets.get(memberId);
-                if (memberSocket?.data.role === 'ai') {
-                  memberSocket.emit('message-new', outboundMessage);
-                }
-              }
-              await markMessageReleased(message.id);
-              io.to(roomCode).emit('toast-update', {
-                level: 'info',
-                message: 'AI delay window ended. Message is now delivered to AI participants.',
-              });
-            }
-
-            io.to(roomCode).emit('pending-delay-update', {
-              pending: currentState.pending.map((entry) => ({ messageId: entry.messageId, releaseAt: entry.releaseAt })),
-            });
-          }, AI_MESSAGE_DELAY_MS),
-        };
-
-        state.pending.push(pendingEntry);
-        io.to(roomCode).emit('pending-delay-update', {
-          pending: state.pending.map((entry) => ({ messageId: entry.messageId, releaseAt: entry.releaseAt })),
-        });
-        io.to(roomCode).emit('toast-update', {
-          level: 'info',
-          message: 'Incoming AI message: sent to humans now, AI delivery in 10s unless a human interjects.',
-        });
-      }
+// Every original sender becomes an offline placeholder participant with a fresh ID and API token. Only
+// the importer receives the tokens, so only an agent they hand one to can take that placeholder over.
+async function seedRoomFromTranscript(room, entries, importer, { ownSenderKey = null } = {}) {
+  const placeholders = new Map();
+  if (ownSenderKey) {
+    placeholders.set(ownSenderKey, { participantId: importer.participantId, role: importer.role, displayName: importer.displayName });
+  }
 
-      if (senderRole === 'human' && emergencyInterject) {
-        const state = ensureRoomState(roomCode);
-        state.interjectActive = false;
-        io.to(roomCode).emit('interject-updated', { active: false });
-        io.to(roomCode).emit('toast-update', {
-          level: 'success',
-          message: 'Human interjection sent after queued AI message delivery.',
-        });
-      }
+  const ensurePlaceholder = async (key, role) => {
+    if (placeholders.has(key)) return placeholders.get(key);
 
-      if (recipientSockets.length > 0) {
-        await markDelivered(message.id);
-        io.to(roomCode).emit('message-status', { messageId: message.id, status: 'delivered' });
-      }
-    } catch (error) {
-      console.error('send-message error', error);
+    let participantId = createParticipantId();
+    while (await getParticipantByClient(room.id, participantId)) {
+      participantId = createParticipantId();
     }
-  });
+    const placeholder = { participantId, role, displayName: `${role === 'human' ? 'Human' : 'AI'}-${participantId}` };
+    await upsertParticipant({
+      roomId: room.id,
+      socketId: null,
+      clientId: participantId,
+      role,
+      displayName: placeholder.displayName,
+      isPrimaryHuman: false,
+      isOnline: false,
+    });
+    placeholder.apiToken = await issueApiToken(room.id, participantId);
+    placeholders.set(key, placeholder);
+    return placeholder;
+  };
 
-  socket.on('mark-read', async ({ messageIds = [] }) => {
-    if (!Array.isArray(messageIds) || messageIds.length === 0) return;
+  for (const entry of entries) {
+    await ensurePlaceholder(entry.senderKey, entry.senderRole);
+  }
 
-    try {
-      await markRead(messageIds);
-      if (socket.data.roomCode) {
-        io.to(socket.data.roomCode).emit('messages-read', { messageIds });
+  const messageIds = new Map();
+  for (const entry of entries) {
+    const sender = placeholders.get(entry.senderKey);
+    let recipientIds = null;
+    if (entry.recipientKeys) {
+      recipientIds = [];
+      for (const key of entry.recipientKeys) {
+        recipientIds.push((await ensurePlaceholder(key, 'ai')).participantId);
       }
-    } catch (error) {
-      console.error('mark-read error', error);
     }
-  });
 
-  socket.on('disconnect', async () => {
-    try {
-      const roomCode = socket.data.roomCode;
-      await setParticipantOffline(socket.id);
-      if (roomCode) {
-        const room = await getRoomByCode(roomCode);
-        if (room) {
-          await emitParticipantUpdate(roomCode, room.id);
-        }
-      }
-    } catch (error) {
-      console.error('disconnect cleanup error', error);
+    const message = await saveMessage({
+      roomId: room.id,
+      senderSocketId: `api:${sender.participantId}`,
+      senderClientId: sender.participantId,
+      senderRole: entry.senderRole,
+      senderDisplayName: sender.displayName,
+      body: entry.body,
+      contentType: entry.contentType,
+      payload: entry.payload,
+      status: entry.status,
+      emergencyInterject: entry.emergencyInterject,
+      heldForAi: false,
+      taskState: entry.taskState,
+      taskDescription: entry.taskDescription,
+      replyToId: messageIds.get(entry.replyToSourceId) || null,
+      recipientIds,
+      createdAt: entry.createdAt,
+    });
+    if (entry.sourceId) messageIds.set(entry.sourceId, message.id);
+
+    // Imported history is settled: keep what AI participants never saw hidden and release the rest.
+    if (entry.blockedByInterject) {
+      await blockMessageByInterject(message.id);
+    } else if (entry.rejected) {
+      await rejectPendingMessage(room.id, message.id, importer.participantId);
+    } else {
+      await markMessageReleased(message.id);
     }
-  });
-});
-
-
-
+  }
 
-function normalizeRole(role) {
-  if (role === 'human' || role === 'ai') return role;
-  return null;
+  return {
+    count: entries.length,
+    participants: [...placeholders].map(([originalId, placeholder]) => ({ originalId, ...placeholder })),
+  };
 }
 
-function normalizeRoomCode(roomCode) {
-  if (typeof roomCode !== 'string') return '';
-  return roomCode.trim();
-}
+// Exports the whole history the viewer is allowed to see, so AI participants never receive
+// messages that were rejected, are still delayed or were addressed to someone else.
+async function exportRoomTranscript(room, viewer, requestedFormat) {
+  const format = requestedFormat || 'json';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw createHttpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
 
-function isValidParticipantId(participantId) {
-  return typeof participantId === 'string' && /^[A-Z0-9]{20}$/.test(participantId) && /\d/.test(participantId);
+  const messages = await getMessages(room.id, viewer.role, viewer.socketId, viewer.clientId);
+  return buildTranscript({
+    roomId: room.room_code,
+    exportedBy: viewer.displayName || viewer.clientId || viewer.role,
+    messages,
+    format,
+  });
 }
 
-function createRoomCode() {
-  return createRandomAlphaNumeric(20);
-}
+// Search results follow the same visibility rules as the participant's history.
+async function searchRoomMessages(room, viewer, input) {
+  const { filters, error } = parseSearchFilters(input);
+  if (error) throw createHttpError(400, error);
 
-function createParticipantId() {
-  return createRandomAlphaNumeric(20);
+  const messages = await searchMessages(room.id, filters, viewer.role, viewer.socketId, viewer.clientId);
+  return { filters, messages };
 }
 
-function createRandomAlphaNumeric(length) {
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let output = '';
-  for (let i = 0; i < length; i += 1) {
-    output += alphabet[Math.floor(Math.random() * alphabet.length)];
+const REVIEW_TOASTS = {
+  approved: 'A human approved a pending AI message. It is now delivered to AI participants.',
+  rejected: 'A human rejected a pending AI message. AI participants will not see it.',
+  edited: 'A human edited a pending AI message before AI delivery.',
+};
+
+async function reviewPendingAiMessage(room, reviewer, { messageId, action, text }) {
+  if (!PENDING_REVIEW_ACTIONS.includes(action)) {
+    throw createHttpError(400, 'action must be "approve", "reject" or "edit".');
   }
 
-  if (!/\d/.test(output)) {
-    const replaceIndex = Math.floor(Math.random() * output.length);
-    const digit = String(Math.floor(Math.random() * 10));
-    output = `${output.slice(0, replaceIndex)}${digit}${output.slice(replaceIndex + 1)}`;
+  if (!reviewer.isPrimaryHuman) {
+    throw createHttpError(403, 'Only the first human in this room can review pending AI messages.');
   }
 
-  return output;
-}
+  const roomCode = room.room_code;
+  const isPending = ensureRoomState(roomCode).pending.some((entry) => entry.messageId === messageId);
+  if (!isPending) {
+    throw createHttpError(404, 'Message is not waiting in the AI delay window.');
+  }
 
-async function ensureApiParticipant({ roomId, role, participantId }) {
-  const normalizedId = typeof participantId === 'string' ? participantId.trim().toUpperCase() : '';
-  if (normalizedId && !isValidParticipantId(normalizedId)) {
-    const error = new Error('participantId must be 20 chars (A-Z0-9) with at least one number.');
-    error.statusCode = 400;
-    throw error;
+  const cleanText = String(text || '').trim().slice(0, 5000);
+  if (action === 'edit' && !cleanText) {
+    throw createHttpError(400, 'text is required when editing a pending AI message.');
   }
 
-  let participant = normalizedId ? await getParticipantByClient(roomId, normalizedId) : null;
-  let finalParticipantId = normalizedId;
+  let message = null;
+  if (action === 'approve') message = await approvePendingMessage(room.id, messageId, reviewer.clientId);
+  if (action === 'reject') message = await rejectPendingMessage(room.id, messageId, reviewer.clientId);
+  if (action === 'edit') message = await editPendingMessage(room.id, messageId, reviewer.clientId, cleanText);
 
-  if (!participant && !finalParticipantId) {
-    finalParticipantId = createParticipantId();
-    while (await getParticipantByClient(roomId, finalParticipantId)) {
-      finalParticipantId = createParticipantId();
-    }
+  if (!message) {
+    throw createHttpError(409, 'Message was already released to AI participants.');
   }
 
-  if (participant && participant.role !== role) {
-    const error = new Error(`participantId already belongs to role "${participant.role}" in this room.`);
-    error.statusCode = 409;
-    throw error;
+  if (action === 'edit') {
+    updateQueuedAiRelease(roomCode, message);
+  } else {
+    removeQueuedAiRelease(roomCode, messageId);
   }
 
-  const isPrimaryHuman = role === 'human' && (!participant ? !(await hasPrimaryHuman(roomId)) : Boolean(participant.is_primary_human));
-  const displayName = participant?.display_name || (role === 'human'
-    ? `${isPrimaryHuman ? 'MainHuman' : 'Human'}-${finalParticipantId}`
-    : `AI-${finalParticipantId}`);
+  if (action === 'approve') {
+    await deliverReleasedAiMessage(roomCode, room, message);
+    observeReleaseLatency(message, 'approved');
+  }
 
-  await upsertParticipant({
-    roomId,
-    socketId: `api:${finalParticipantId}`,
-    clientId: finalParticipantId,
-    role,
-    displayName,
-    isPrimaryHuman,
+  await emitMessageReviewed(roomCode, message);
+  emitRoomEvent(roomCode, 'toast-update', {
+    level: action === 'reject' ? 'warning' : 'info',
+    message: REVIEW_TOASTS[message.reviewState],
   });
+  return message;
+}
 
-  participant = await getParticipantByClient(roomId, finalParticipantId);
-
-  return {
-    participantId: finalParticipantId,
-    role: participant.role,
-    isPrimaryHuman: Boolean(participant.is_primary_human),
-    displayName: participant.display_name,
+// AI participants other than the sender only learn that a decision was made; the body stays hidden
+// until (and unless) the message is released to them.
+function getReviewPayload(message, viewerRole, viewerSocketId) {
+  const payload = {
+    messageId: message.id,
+    reviewState: message.reviewState,
+    reviewedBy: message.reviewedBy,
+    reviewedAt: message.reviewedAt,
   };
+  if (viewerRole !== 'ai' || viewerSocketId === message.senderSocketId) payload.message = message;
+  return payload;
 }
 
-async function authenticateRestParticipant(roomCode, participantId) {
-  const normalizedRoomCode = normalizeRoomCode(roomCode);
-  if (!normalizedRoomCode || !isValidCode(normalizedRoomCode)) {
-    return { status: 400, error: 'Valid roomId path param is required.' };
+async function emitMessageReviewed(roomCode, message) {
+  const roomMembers = await io.in(roomCode).fetchSockets();
+  for (const member of roomMembers) {
+    member.emit('message-reviewed', getReviewPayload(message, member.data.role, member.id));
   }
+  pushReviewToStreams(roomCode, message);
+  publishRoomState('stream-message-reviewed', { roomCode, message });
+}
 
-  const normalizedParticipantId = typeof participantId === 'string' ? participantId.trim().toUpperCase() : '';
-  if (!normalizedParticipantId || !isValidParticipantId(normalizedParticipantId)) {
-    return { status: 401, error: 'Valid participantId is required (query param or x-participant-id header).' };
+function pushReviewToStreams(roomCode, message) {
+  for (const stream of getRoomStreams(roomCode)) {
+    sendStreamEvent(stream, 'message-reviewed', getReviewPayload(message, stream.participant.role, `api:${stream.participant.client_id}`));
   }
+}
 
-  const room = await getRoomByCode(normalizedRoomCode);
-  if (!room) return { status: 404, error: 'Room not found.' };
+async function restorePendingAiReleases() {
+  const pending = await getPendingAiReleases();
+  for (const { roomCode, ...message } of pending) {
+    queueAiRelease(roomCode, message, { publish: false });
+  }
+  if (pending.length > 0) {
+    console.log(`Restored ${pending.length} pending AI-to-AI deliveries from storage.`);
+  }
+}
 
-  const participant = await getParticipantByClient(room.id, normalizedParticipantId);
-  if (!participant) return { status: 401, error: 'Participant is not registered in this room.' };
+io.on('interject-changed', ({ roomCode, active }) => {
+  setInterjectActive(roomCode, active, { publish: false });
+});
 
-  return { room, participant };
+io.on('ai-releases-cleared', ({ roomCode }) => {
+  clearQueuedAiReleases(roomCode, { publish: false });
+});
+
+io.on('ai-release-queued', ({ roomCode, message }) => {
+  queueAiRelease(roomCode, message, { publish: false });
+});
+
+io.on('ai-release-removed', ({ roomCode, messageId }) => {
+  removeQueuedAiRelease(roomCode, messageId, { publish: false });
+});
+
+io.on('ai-release-updated', ({ roomCode, message }) => {
+  updateQueuedAiRelease(roomCode, message, { publish: false });
+});
+
+io.on('stream-message-change', ({ roomCode, message, event }) => {
+  pushMessageChangeToStreams(roomCode, message, event);
+});
+
+io.on('stream-message-reviewed', ({ roomCode, message }) => {
+  pushReviewToStreams(roomCode, message);
+});
+
+io.on('stream-room-event', ({ roomCode, event, payload }) => {
+  emitToRoomStreams(roomCode, event, payload, { publish: false });
+});
+
+io.on('stream-message', ({ room, message, roles }) => {
+  void pushMessageToStreams(room, message, { roles });
+});
+
+io.on('loop-activity', ({ roomCode, activity, settings }) => {
+  observeMessage(ensureRoomState(roomCode).aiActivity, activity, settings);
+});
+
+io.on('loop-activity-cleared', ({ roomCode }) => {
+  ensureRoomState(roomCode).aiActivity = [];
+});
+
+io.on('control-changed', ({ roomCode, ...control }) => {
+  void applyControlToSockets(roomCode, control);
+});
+
+io.on('participant-disconnect', ({ roomCode, clientId, notice }) => {
+  void disconnectParticipant(roomCode, clientId, notice);
+});
+
+io.on('room-disconnect', ({ roomCode }) => {
+  disconnectRoom(roomCode);
+});
+
+io.on('interject-snapshot', (ack) => {
+  ack([...roomState].filter(([, state]) => state.interjectActive).map(([roomCode]) => roomCode));
+});
+
+async function syncInterjectStateFromPeers() {
+  try {
+    const responses = await io.serverSideEmitWithAck('interject-snapshot');
+    for (const roomCode of responses.flat()) {
+      setInterjectActive(roomCode, true, { publish: false });
+    }
+  } catch (error) {
+    console.error('Unable to sync interject state from other nodes', error);
+  }
 }
 
 function ensureRoomState(roomCode) {
   if (!roomState.has(roomCode)) {
-    roomState.set(roomCode, { interjectActive: false, pending: [] });
+    roomState.set(roomCode, { interjectActive: false, pending: [], aiActivity: [] });
   }
   return roomState.get(roomCode);
 }
@@ -965,7 +3758,7 @@ function createClientId() {
 async function emitParticipantUpdate(roomCode, roomId) {
   const participants = await listParticipants(roomId);
   const onlineCount = participants.filter((participant) => participant.isOnline).length;
-  io.to(roomCode).emit('participant-update', {
+  emitRoomEvent(roomCode, 'participant-update', {
     count: onlineCount,
     participants,
   });
@@ -973,7 +3766,11 @@ async function emitParticipantUpdate(roomCode, roomId) {
 
 (async () => {
   try {
+    const clustered = await attachClusterAdapter(io, storageBackend);
     await initializeDatabase();
+    await restorePendingAiReleases();
+    if (clustered) await syncInterjectStateFromPeers();
+    setInterval(() => void expireInactiveRooms(), EXPIRY_SWEEP_INTERVAL_MS).unref();
     dbState.ready = true;
     dbState.checkedAt = new Date().toISOString();
     dbState.error = null;
@@ -981,11 +3778,11 @@ async function emitParticipantUpdate(roomCode, roomId) {
     dbState.ready = false;
     dbState.checkedAt = new Date().toISOString();
     dbState.error = error.message;
-    console.error('Unable to connect to database on startup.', error);
+    console.error(`Unable to initialize ${storageBackend} storage on startup.`, error);
     console.log('Server will still start so setup instructions can be shown in the browser.');
   }
 
   server.listen(port, () => {
-    console.log(`Aladdin Chat listening on http://localhost:${port}`);
+    console.log(`Aladdin Chat listening on http://localhost:${port} (storage: ${storageBackend})`);
   });
 })();
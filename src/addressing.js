@@ -0,0 +1,48 @@
+const MAX_RECIPIENTS = 20;
+const MENTION_PATTERN = /@([A-Za-z]+-[A-Z0-9]{5,20}|[A-Z0-9]{5,20})\b/g;
+
+function extractMentions(text) {
+  return [...String(text || '').matchAll(MENTION_PATTERN)].map((match) => match[1]);
+}
+
+// Mentions match a participant's display name (AI-ABCDE) or raw participant ID; anything else after an
+// "@" is treated as plain text. Explicit `to` entries must all be participants of the room.
+function resolveRecipients({ text, to, participants, senderClientId }) {
+  const byClientId = new Map(participants.map((participant) => [participant.clientId, participant]));
+  const byDisplayName = new Map(participants.map((participant) => [participant.displayName, participant]));
+  const recipientIds = new Set();
+
+  if (to !== undefined && to !== null && to !== '') {
+    const requested = (Array.isArray(to) ? to : [to]).map((id) => String(id || '').trim().toUpperCase());
+    const unknown = requested.filter((id) => !byClientId.has(id));
+    if (unknown.length > 0) {
+      return { error: `to contains IDs that are not participants in this room: ${unknown.join(', ')}.` };
+    }
+    for (const id of requested) recipientIds.add(id);
+  }
+
+  for (const mention of extractMentions(text)) {
+    const participant = byDisplayName.get(mention) || byClientId.get(mention);
+    if (participant) recipientIds.add(participant.clientId);
+  }
+
+  recipientIds.delete(senderClientId);
+  if (recipientIds.size > MAX_RECIPIENTS) {
+    return { error: `A message can be addressed to at most ${MAX_RECIPIENTS} participants.` };
+  }
+
+  return { recipientIds: recipientIds.size > 0 ? [...recipientIds] : null };
+}
+
+// Humans oversee every conversation, so addressing only narrows which AI participants receive a message.
+function isAddressedTo(message, clientId) {
+  if (!Array.isArray(message.recipientIds) || message.recipientIds.length === 0) return true;
+  return Boolean(clientId) && message.recipientIds.includes(clientId);
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  extractMentions,
+  resolveRecipients,
+  isAddressedTo,
+};
@@ -0,0 +1,41 @@
+const clusterEnabled = ['1', 'true', 'yes'].includes(String(process.env.CLUSTER_MODE || '').trim().toLowerCase());
+
+// Connects Socket.IO to the Postgres adapter so room broadcasts, fetchSockets() and serverSideEmit()
+// reach every node. LISTEN needs a session connection, so CLUSTER_DATABASE_URL can point at a direct
+// or session-pooler URL when DATABASE_URL is a transaction pooler.
+async function attachClusterAdapter(io, storageBackend) {
+  if (!clusterEnabled) return false;
+
+  if (storageBackend !== 'postgres') {
+    throw new Error('CLUSTER_MODE requires STORAGE_BACKEND=postgres so every node shares the same data.');
+  }
+
+  const connectionString = process.env.CLUSTER_DATABASE_URL || process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('CLUSTER_MODE requires CLUSTER_DATABASE_URL or DATABASE_URL.');
+  }
+
+  const { createAdapter } = require('@socket.io/postgres-adapter');
+  const { createPool } = require('./storage/postgres');
+  const pool = createPool(connectionString);
+
+  pool.on('error', (error) => {
+    console.error('Cluster adapter Postgres error', error);
+  });
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS socket_io_attachments (
+      id BIGSERIAL UNIQUE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      payload BYTEA
+    );
+  `);
+
+  io.adapter(createAdapter(pool, { channelPrefix: 'aladdin' }));
+  return true;
+}
+
+module.exports = {
+  clusterEnabled,
+  attachClusterAdapter,
+};
@@ -0,0 +1,75 @@
+const CONTENT_TYPES = ['text', 'markdown', 'json'];
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_PAYLOAD_BYTES = Number(process.env.MAX_MESSAGE_PAYLOAD_BYTES || 32_768);
+const MAX_PAYLOAD_DEPTH = 20;
+
+function payloadDepth(value, depth = 1) {
+  if (depth > MAX_PAYLOAD_DEPTH || value === null || typeof value !== 'object') return depth;
+  let deepest = depth;
+  for (const child of Object.values(value)) {
+    if (child !== null && typeof child === 'object') deepest = Math.max(deepest, payloadDepth(child, depth + 1));
+    if (deepest > MAX_PAYLOAD_DEPTH) break;
+  }
+  return deepest;
+}
+
+// Validates the content fields of a sent or imported message. text and markdown messages carry
+// their content in the body; json messages carry an object or array payload and the body is an
+// optional caption. The payload is stored as parsed JSON, so a JSON string is accepted as well.
+function parseMessageContent({ contentType, text, payload } = {}) {
+  const type = contentType === undefined || contentType === null || contentType === ''
+    ? 'text'
+    : String(contentType).trim().toLowerCase();
+  if (!CONTENT_TYPES.includes(type)) {
+    return { error: `contentType must be one of: ${CONTENT_TYPES.join(', ')}.` };
+  }
+
+  const body = String(text ?? '').trim().slice(0, MAX_MESSAGE_LENGTH);
+  const hasPayload = payload !== undefined && payload !== null && payload !== '';
+
+  if (type !== 'json') {
+    if (hasPayload) return { error: 'payload is only accepted when contentType is "json".' };
+    if (!body) return { error: 'text is required.' };
+    return { content: { contentType: type, body, payload: null } };
+  }
+
+  if (!hasPayload) return { error: 'payload is required when contentType is "json".' };
+
+  let value = payload;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return { error: 'payload must be valid JSON.' };
+    }
+  }
+  if (value === null || typeof value !== 'object') {
+    return { error: 'payload must be a JSON object or array.' };
+  }
+
+  const serialized = JSON.stringify(value);
+  if (Buffer.byteLength(serialized) > MAX_PAYLOAD_BYTES) {
+    return { error: `payload must be at most ${MAX_PAYLOAD_BYTES} bytes of JSON.` };
+  }
+  if (payloadDepth(value) > MAX_PAYLOAD_DEPTH) {
+    return { error: `payload must be nested at most ${MAX_PAYLOAD_DEPTH} levels deep.` };
+  }
+
+  return { content: { contentType: 'json', body, payload: JSON.parse(serialized) } };
+}
+
+// The characters a message counts against daily AI quotas and loop checks: its body plus any payload.
+function describeContent({ body, payload }) {
+  if (payload === null || payload === undefined) return body;
+  const serialized = JSON.stringify(payload);
+  return body ? `${body}\n${serialized}` : serialized;
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  MAX_MESSAGE_LENGTH,
+  MAX_PAYLOAD_BYTES,
+  MAX_PAYLOAD_DEPTH,
+  parseMessageContent,
+  describeContent,
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+const API_TOKEN_PREFIX = 'alc_';
+const TRUST_PROXY_HOPS = Math.max(0, Number(process.env.TRUST_PROXY_HOPS || 0) || 0);
+const ADMIN_SECRET = process.env.ADMIN_SECRET || '';
+const adminEnabled = Boolean(ADMIN_SECRET);
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const metricsTokenRequired = Boolean(METRICS_TOKEN);
+
+function createApiToken() {
+  return `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Tokens are 256-bit random values, so a plain SHA-256 digest is enough to store them safely.
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function verifyApiToken(token, tokenHash) {
+  if (typeof token !== 'string' || !token || typeof tokenHash !== 'string' || !tokenHash) return false;
+  const expected = Buffer.from(tokenHash, 'hex');
+  const actual = Buffer.from(hashApiToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Both sides are hashed first so timingSafeEqual can compare secrets of different lengths.
+function matchesSecret(secret, expected) {
+  if (!expected || typeof secret !== 'string' || !secret) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiToken(secret), 'hex'),
+    Buffer.from(hashApiToken(expected), 'hex'),
+  );
+}
+
+function verifyAdminSecret(secret) {
+  return matchesSecret(secret, ADMIN_SECRET);
+}
+
+function verifyMetricsToken(token) {
+  return !metricsTokenRequired || matchesSecret(token, METRICS_TOKEN);
+}
+
+function getBearerToken(req) {
+  const header = req.header('authorization') || '';
+  const matched = header.match(/^Bearer\s+(\S+)$/i);
+  return matched ? matched[1] : '';
+}
+
+// The caller's network address, used for address bans. Behind TRUST_PROXY_HOPS reverse proxies the
+// address is read from X-Forwarded-For, counting back from the entry the nearest proxy appended.
+function getClientAddress(headers, remoteAddress) {
+  let address = remoteAddress || '';
+  if (TRUST_PROXY_HOPS > 0) {
+    const forwarded = String(headers['x-forwarded-for'] || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+    address = forwarded[Math.max(0, forwarded.length - TRUST_PROXY_HOPS)] || address;
+  }
+  return address.replace(/^::ffff:/, '') || null;
+}
+
+module.exports = {
+  adminEnabled,
+  metricsTokenRequired,
+  createApiToken,
+  hashApiToken,
+  verifyApiToken,
+  verifyAdminSecret,
+  verifyMetricsToken,
+  getBearerToken,
+  getClientAddress,
+};
@@ -0,0 +1,134 @@
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  openai: { contentType: 'application/json; charset=utf-8', extension: 'openai.json' },
+};
+
+const OPENAI_ROLES = { human: 'user', ai: 'assistant' };
+
+const TASK_LABELS = {
+  task_start: 'Task start',
+  task_update: 'Task update',
+  task_complete: 'Task complete',
+};
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// The routing metadata that explains why a message reached (or never reached) AI participants.
+function exportMessage(message) {
+  return {
+    id: message.id,
+    createdAt: toIso(message.createdAt),
+    senderRole: message.senderRole,
+    senderDisplayName: message.senderDisplayName,
+    senderClientId: message.senderClientId || null,
+    body: message.body,
+    contentType: message.contentType || 'text',
+    payload: message.payload ?? null,
+    status: message.status,
+    taskState: message.taskState,
+    taskDescription: message.taskDescription || null,
+    taskId: message.taskId || null,
+    emergencyInterject: Boolean(message.emergencyInterject),
+    heldForAi: Boolean(message.heldForAi),
+    delayedForAiUntil: toIso(message.delayedForAiUntil),
+    releasedAt: toIso(message.releasedAt),
+    blockedByInterject: Boolean(message.blockedByInterject),
+    reviewState: message.reviewState || null,
+    replyToId: message.replyToId || null,
+    recipientIds: message.recipientIds || null,
+    editedAt: toIso(message.editedAt),
+    deletedAt: toIso(message.deletedAt),
+  };
+}
+
+function describeMessage(message) {
+  const notes = [];
+  if (message.taskState && message.taskState !== 'none') {
+    notes.push(`${TASK_LABELS[message.taskState] || message.taskState}${message.taskDescription ? `: ${message.taskDescription}` : ''}`);
+  }
+  if (message.emergencyInterject) notes.push('Human interjection');
+  if (message.heldForAi) notes.push('Held from AI while paused');
+  if (message.delayedForAiUntil) notes.push(`AI delivery delayed until ${message.delayedForAiUntil}`);
+  if (message.blockedByInterject) notes.push('Blocked from AI by an interjection');
+  if (message.reviewState) notes.push(`Review: ${message.reviewState}`);
+  if (message.recipientIds) notes.push(`To ${message.recipientIds.join(', ')}`);
+  if (message.replyToId) notes.push(`Reply to ${message.replyToId}`);
+  if (message.editedAt && !message.deletedAt) notes.push('Edited');
+  return notes;
+}
+
+// Formats that only carry text append a json message's payload to its caption as a fenced block.
+function renderBody(message) {
+  if (message.payload === null || message.payload === undefined) return message.body;
+  const block = `\`\`\`json\n${JSON.stringify(message.payload, null, 2)}\n\`\`\``;
+  return message.body ? `${message.body}\n\n${block}` : block;
+}
+
+function renderMarkdown(header, messages) {
+  const lines = [
+    `# Transcript: ${header.roomId}`,
+    '',
+    `Exported ${header.exportedAt} by ${header.exportedBy} · ${messages.length} messages`,
+  ];
+
+  for (const message of messages) {
+    lines.push('', `### ${message.senderDisplayName} (${message.senderRole}) · ${message.createdAt}`, '');
+    const notes = describeMessage(message);
+    if (notes.length > 0) lines.push(`_${notes.join(' · ')}_`, '');
+    lines.push(message.deletedAt ? '_Message retracted_' : renderBody(message));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Chat-completion messages carry task flags and interjections as a bracketed prefix, because the
+// format has no metadata fields. Retracted messages are left out.
+function renderOpenAiMessages(messages) {
+  return messages
+    .filter((message) => !message.deletedAt)
+    .map((message) => {
+      const markers = [];
+      if (message.emergencyInterject) markers.push('[Human interjection]');
+      if (message.taskState && message.taskState !== 'none') {
+        markers.push(`[${TASK_LABELS[message.taskState]}${message.taskDescription ? `: ${message.taskDescription}` : ''}]`);
+      }
+      return {
+        role: OPENAI_ROLES[message.senderRole] || 'user',
+        name: String(message.senderDisplayName || message.senderRole).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64),
+        content: markers.length > 0 ? `${markers.join(' ')}\n${renderBody(message)}` : renderBody(message),
+      };
+    });
+}
+
+function buildTranscript({ roomId, exportedBy, messages, format }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const exportedAt = new Date().toISOString();
+  const header = { roomId, exportedAt, exportedBy };
+  const rows = messages.map(exportMessage);
+
+  let body;
+  if (format === 'markdown') {
+    body = renderMarkdown(header, rows);
+  } else if (format === 'jsonl') {
+    body = rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+  } else if (format === 'openai') {
+    body = JSON.stringify({ messages: renderOpenAiMessages(rows) }, null, 2);
+  } else {
+    body = JSON.stringify({ ...header, count: rows.length, messages: rows }, null, 2);
+  }
+
+  return {
+    contentType,
+    filename: `${roomId}-${exportedAt.replace(/[:.]/g, '-')}.${extension}`,
+    body,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildTranscript,
+};
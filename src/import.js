@@ -0,0 +1,103 @@
+const { TASK_STATES } = require('./search');
+const { MAX_MESSAGE_LENGTH, parseMessageContent } = require('./content');
+
+const MAX_IMPORT_MESSAGES = 5000;
+const MESSAGE_STATUSES = ['sent', 'delivered', 'read'];
+const OPENAI_SENDER_ROLES = { user: 'human', assistant: 'ai' };
+
+function toMessageList(transcript) {
+  if (typeof transcript === 'string') {
+    const lines = transcript.split('\n').map((line) => line.trim()).filter(Boolean);
+    const messages = [];
+    for (const [index, line] of lines.entries()) {
+      try {
+        messages.push(JSON.parse(line));
+      } catch {
+        return { error: `transcript line ${index + 1} is not valid JSON.` };
+      }
+    }
+    return { messages };
+  }
+
+  if (Array.isArray(transcript)) return { messages: transcript };
+  if (transcript && Array.isArray(transcript.messages)) return { messages: transcript.messages };
+  return { error: 'transcript must be an exported JSON object, an array of messages or a JSONL string.' };
+}
+
+// Accepts the json, jsonl and openai export formats. OpenAI-style entries carry no timestamps or
+// metadata, so they are spaced one millisecond apart starting from the import time.
+function parseTranscript(transcript) {
+  const { messages, error } = toMessageList(transcript);
+  if (error) return { error };
+  if (messages.length === 0) return { error: 'transcript has no messages.' };
+  if (messages.length > MAX_IMPORT_MESSAGES) {
+    return { error: `transcript can hold at most ${MAX_IMPORT_MESSAGES} messages.` };
+  }
+
+  const importedAt = Date.now();
+  const entries = [];
+
+  for (const [index, raw] of messages.entries()) {
+    const label = `messages[${index}]`;
+    if (!raw || typeof raw !== 'object') return { error: `${label} must be an object.` };
+
+    const isOpenAi = raw.senderRole === undefined && raw.role !== undefined;
+    const senderRole = isOpenAi ? OPENAI_SENDER_ROLES[raw.role] : raw.senderRole;
+    if (senderRole !== 'human' && senderRole !== 'ai') {
+      return { error: isOpenAi ? `${label}.role must be "user" or "assistant".` : `${label}.senderRole must be "human" or "ai".` };
+    }
+
+    if (raw.deletedAt) continue;
+
+    const body = isOpenAi ? raw.content : raw.body;
+    const contentType = isOpenAi ? 'text' : raw.contentType;
+    if (typeof body !== 'string' || body.length > MAX_MESSAGE_LENGTH || (!body.trim() && contentType !== 'json')) {
+      return { error: `${label} must have a non-empty text body of at most ${MAX_MESSAGE_LENGTH} characters.` };
+    }
+    const { content, error: contentError } = parseMessageContent({ contentType, text: body, payload: isOpenAi ? null : raw.payload });
+    if (contentError) return { error: `${label}.${contentError}` };
+
+    const createdAt = isOpenAi ? new Date(importedAt + index) : new Date(raw.createdAt);
+    if (Number.isNaN(createdAt.getTime())) {
+      return { error: `${label}.createdAt must be an ISO 8601 timestamp.` };
+    }
+
+    const taskState = raw.taskState || 'none';
+    if (!TASK_STATES.includes(taskState)) {
+      return { error: `${label}.taskState must be one of: ${TASK_STATES.join(', ')}.` };
+    }
+    const taskDescription = raw.taskDescription ? String(raw.taskDescription).slice(0, 500) : null;
+    if (taskState !== 'none' && !taskDescription) {
+      return { error: `${label}.taskDescription is required when taskState is set.` };
+    }
+
+    const senderName = String((isOpenAi ? raw.name : raw.senderDisplayName) || '').trim();
+    entries.push({
+      sourceId: typeof raw.id === 'string' ? raw.id : null,
+      senderKey: String(raw.senderClientId || senderName || senderRole),
+      senderRole,
+      senderName,
+      body,
+      contentType: content.contentType,
+      payload: content.payload,
+      status: MESSAGE_STATUSES.includes(raw.status) ? raw.status : 'delivered',
+      createdAt,
+      taskState,
+      taskDescription,
+      emergencyInterject: Boolean(raw.emergencyInterject),
+      blockedByInterject: Boolean(raw.blockedByInterject),
+      rejected: raw.reviewState === 'rejected',
+      replyToSourceId: typeof raw.replyToId === 'string' ? raw.replyToId : null,
+      recipientKeys: Array.isArray(raw.recipientIds) && raw.recipientIds.length > 0 ? raw.recipientIds.map(String) : null,
+    });
+  }
+
+  if (entries.length === 0) return { error: 'transcript has no messages left to import after skipping retracted ones.' };
+  entries.sort((a, b) => a.createdAt - b.createdAt);
+  return { entries };
+}
+
+module.exports = {
+  MAX_IMPORT_MESSAGES,
+  parseTranscript,
+};
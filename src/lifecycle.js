@@ -0,0 +1,22 @@
+const ROOM_STATUSES = ['active', 'archived', 'closed'];
+const EXPIRY_SWEEP_INTERVAL_MS = 10 * 60_000;
+
+// Archived rooms are read-only but anyone with the room code can still join to read them. Closed
+// rooms are read-only too and also turn away participants who have never joined.
+function getSendBlockReason(status) {
+  if (status === 'archived') return 'This room is archived and read-only.';
+  if (status === 'closed') return 'This room is closed and no longer accepts messages.';
+  return null;
+}
+
+function getJoinBlockReason(status, isKnownParticipant) {
+  if (status === 'closed' && !isKnownParticipant) return 'This room is closed to new participants.';
+  return null;
+}
+
+module.exports = {
+  ROOM_STATUSES,
+  EXPIRY_SWEEP_INTERVAL_MS,
+  getSendBlockReason,
+  getJoinBlockReason,
+};
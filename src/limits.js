@@ -0,0 +1,98 @@
+function readLimit(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+// A limit of 0 (or a negative value) disables that check.
+const RATE_LIMITS = {
+  participant: {
+    burst: readLimit('RATE_LIMIT_PARTICIPANT_BURST', 10),
+    perMinute: readLimit('RATE_LIMIT_PARTICIPANT_PER_MINUTE', 30),
+  },
+  room: {
+    burst: readLimit('RATE_LIMIT_ROOM_BURST', 60),
+    perMinute: readLimit('RATE_LIMIT_ROOM_PER_MINUTE', 180),
+  },
+};
+
+const DAILY_QUOTAS = {
+  messages: readLimit('AI_DAILY_MESSAGE_QUOTA', 1000),
+  characters: readLimit('AI_DAILY_CHARACTER_QUOTA', 500_000),
+};
+
+const MAX_IDLE_BUCKETS = 10_000;
+const buckets = new Map();
+
+function refill(key, { burst, perMinute }, now) {
+  const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60_000) * perMinute);
+  bucket.updatedAt = now;
+  return bucket;
+}
+
+function dropIdleBuckets(now) {
+  if (buckets.size < MAX_IDLE_BUCKETS) return;
+  for (const [key, bucket] of buckets) {
+    if (now - bucket.updatedAt > 60 * 60_000) buckets.delete(key);
+  }
+}
+
+// Takes one token from the participant's bucket and one from the room's, or neither if either is
+// empty. Buckets live in this process, so each node of a cluster enforces its own share.
+function takeSendToken(roomId, clientId, now = Date.now()) {
+  const checks = [
+    { key: `participant:${roomId}:${clientId}`, limit: RATE_LIMITS.participant, scope: 'participant' },
+    { key: `room:${roomId}`, limit: RATE_LIMITS.room, scope: 'room' },
+  ].filter(({ limit }) => limit.burst > 0 && limit.perMinute > 0);
+
+  const refilled = checks.map((check) => ({ ...check, bucket: refill(check.key, check.limit, now) }));
+  for (const { key, bucket } of refilled) buckets.set(key, bucket);
+
+  const empty = refilled.find(({ bucket }) => bucket.tokens < 1);
+  if (empty) {
+    const retryAfterMs = Math.ceil(((1 - empty.bucket.tokens) / empty.limit.perMinute) * 60_000);
+    return { allowed: false, scope: empty.scope, retryAfterMs };
+  }
+
+  for (const { bucket } of refilled) bucket.tokens -= 1;
+  dropIdleBuckets(now);
+  return { allowed: true };
+}
+
+// Quotas reset at midnight UTC.
+function getQuotaDay(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return { start, resetsAt: new Date(start.getTime() + 24 * 60 * 60_000) };
+}
+
+function describeQuota(usage = {}) {
+  const messagesUsed = usage.messages || 0;
+  const charactersUsed = usage.characters || 0;
+  return {
+    messagesUsed,
+    messagesRemaining: DAILY_QUOTAS.messages ? Math.max(0, DAILY_QUOTAS.messages - messagesUsed) : null,
+    charactersUsed,
+    charactersRemaining: DAILY_QUOTAS.characters ? Math.max(0, DAILY_QUOTAS.characters - charactersUsed) : null,
+  };
+}
+
+// Returns an error message when sending `length` more characters would exceed a daily quota.
+function checkDailyQuota(usage, length) {
+  const quota = describeQuota(usage);
+  if (quota.messagesRemaining === 0) {
+    return `Daily AI message quota of ${DAILY_QUOTAS.messages} reached.`;
+  }
+  if (quota.charactersRemaining !== null && length > quota.charactersRemaining) {
+    return `Daily AI character quota of ${DAILY_QUOTAS.characters} would be exceeded (${quota.charactersRemaining} left).`;
+  }
+  return null;
+}
+
+module.exports = {
+  RATE_LIMITS,
+  DAILY_QUOTAS,
+  takeSendToken,
+  getQuotaDay,
+  describeQuota,
+  checkDailyQuota,
+};
@@ -0,0 +1,54 @@
+const { formatDelay } = require('./settings');
+
+const MAX_TRACKED_AI_MESSAGES = 100;
+
+// Case, punctuation and whitespace differences do not make a repeated message new.
+function fingerprintMessage(body) {
+  return String(body || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// `activity` holds the AI messages seen since the last human message. A human message clears it,
+// because a human taking part means the exchange is being watched. Returns the tripped threshold,
+// or null while the room is within its limits.
+function observeMessage(activity, { senderRole, senderClientId, body, createdAt }, settings) {
+  if (senderRole === 'human') {
+    activity.length = 0;
+    return null;
+  }
+
+  const at = new Date(createdAt).getTime();
+  activity.push({ at, senderClientId, fingerprint: fingerprintMessage(body) });
+  const windowStart = at - settings.loopWindowMs;
+  while (activity.length > 0 && (activity[0].at < windowStart || activity.length > MAX_TRACKED_AI_MESSAGES)) {
+    activity.shift();
+  }
+
+  if (!settings.loopGuardEnabled) return null;
+
+  const window = formatDelay(settings.loopWindowMs);
+  const senders = new Set(activity.map((entry) => entry.senderClientId));
+  if (senders.size >= 2 && activity.length >= settings.loopMaxAiMessages) {
+    return {
+      reason: 'rate',
+      detail: `${activity.length} AI messages between ${senders.size} agents within ${window} without a human message.`,
+    };
+  }
+
+  const latest = activity[activity.length - 1];
+  const repeats = latest.fingerprint ? activity.filter((entry) => entry.fingerprint === latest.fingerprint).length : 0;
+  if (repeats >= settings.loopMaxRepeats) {
+    return {
+      reason: 'repetition',
+      detail: `The same AI message was sent ${repeats} times within ${window}.`,
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  observeMessage,
+};
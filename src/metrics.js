@@ -0,0 +1,104 @@
+// Prometheus text exposition for GET /metrics. Counters and histograms count events on this node;
+// gauges are read from live state at scrape time and passed to renderMetrics.
+const RELEASE_LATENCY_BUCKETS = [0.5, 1, 2.5, 5, 10, 15, 30, 60, 120, 300, 900, 3600];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((name) => [name, String(labels[name])]));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escaped = entries.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return `{${escaped.join(',')}}`;
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+  return {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    samples() {
+      return [...series.values()].map(({ labels, value }) => ({ name, labels, value }));
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  return {
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    samples() {
+      return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: bound }, value: counts[index] })),
+        { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count },
+      ]);
+    },
+  };
+}
+
+const messagesSent = createCounter('aladdin_messages_sent_total', 'Chat messages saved, by sender role and channel (socket or rest).');
+const messagesHeldForAi = createCounter('aladdin_messages_held_for_ai_total', 'Messages held back from AI participants by a pause or a loop guard trip when they were sent.');
+const interjectsStarted = createCounter('aladdin_interjects_started_total', 'Emergency interjects started by a human.');
+const dbErrors = createCounter('aladdin_db_errors_total', 'Storage calls that failed, by storage function.');
+const aiReleaseLatency = createHistogram(
+  'aladdin_ai_release_latency_seconds',
+  'Seconds from a message being sent until it reached AI participants, by what released it (delay, interject, approved or resumed).',
+  RELEASE_LATENCY_BUCKETS,
+);
+
+const REGISTRY = [messagesSent, messagesHeldForAi, interjectsStarted, aiReleaseLatency, dbErrors];
+
+function observeReleaseLatency(message, trigger) {
+  const createdAt = new Date(message.createdAt).getTime();
+  if (Number.isNaN(createdAt)) return;
+  aiReleaseLatency.observe({ trigger }, Math.max(0, (Date.now() - createdAt) / 1000));
+}
+
+// gauges: [{ name, help, samples: [{ labels, value }] }]
+function renderMetrics(gauges = []) {
+  const lines = [];
+  for (const metric of REGISTRY) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const sample of metric.samples()) {
+      lines.push(`${sample.name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  }
+  for (const gauge of gauges) {
+    lines.push(`# HELP ${gauge.name} ${gauge.help}`, `# TYPE ${gauge.name} gauge`);
+    for (const sample of gauge.samples) {
+      lines.push(`${gauge.name}${formatLabels(sample.labels || {})} ${sample.value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  messagesSent,
+  messagesHeldForAi,
+  interjectsStarted,
+  dbErrors,
+  observeReleaseLatency,
+  renderMetrics,
+};
@@ -0,0 +1,70 @@
+const TASK_STATES = ['none', 'task_start', 'task_update', 'task_complete'];
+const SEARCH_ROLES = ['human', 'ai'];
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 100;
+
+function parseDateFilter(value, name) {
+  if (value === undefined || value === null || value === '') return { date: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: `${name} must be an ISO 8601 date or timestamp.` };
+  return { date };
+}
+
+// Validates search filters from a query string or socket payload. taskState accepts an array or a
+// comma-separated list so both ?taskState=a,b and repeated ?taskState= parameters work.
+function parseSearchFilters(input = {}) {
+  const query = String(input.q ?? input.query ?? '').trim();
+  if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+    return { error: `q must be at most ${MAX_SEARCH_QUERY_LENGTH} characters.` };
+  }
+
+  const sender = String(input.sender || '').trim();
+
+  const role = input.role ? String(input.role).trim().toLowerCase() : '';
+  if (role && !SEARCH_ROLES.includes(role)) {
+    return { error: `role must be one of: ${SEARCH_ROLES.join(', ')}.` };
+  }
+
+  const taskStateInput = Array.isArray(input.taskState) ? input.taskState.join(',') : String(input.taskState || '');
+  const taskState = taskStateInput.split(',').map((state) => state.trim()).filter(Boolean);
+  const unknownStates = taskState.filter((state) => !TASK_STATES.includes(state));
+  if (unknownStates.length > 0) {
+    return { error: `taskState must be one or more of: ${TASK_STATES.join(', ')}.` };
+  }
+
+  const from = parseDateFilter(input.from, 'from');
+  if (from.error) return { error: from.error };
+  const to = parseDateFilter(input.to, 'to');
+  if (to.error) return { error: to.error };
+  if (from.date && to.date && from.date > to.date) {
+    return { error: 'from must be earlier than to.' };
+  }
+
+  const limit = input.limit === undefined || input.limit === '' ? DEFAULT_SEARCH_LIMIT : Number(input.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}.` };
+  }
+
+  if (!query && !sender && !role && taskState.length === 0 && !from.date && !to.date) {
+    return { error: 'Provide q or at least one of sender, role, taskState, from, to.' };
+  }
+
+  return {
+    filters: {
+      query,
+      sender,
+      role,
+      taskState: taskState.length > 0 ? taskState : null,
+      from: from.date,
+      to: to.date,
+      limit,
+    },
+  };
+}
+
+module.exports = {
+  TASK_STATES,
+  MAX_SEARCH_LIMIT,
+  parseSearchFilters,
+};
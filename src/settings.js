@@ -0,0 +1,111 @@
+const { getRoomSettings } = require('./db');
+
+const PAUSE_CONTROL_OPTIONS = ['primary_human', 'any_human'];
+const MAX_AI_DELAY_MS = 5 * 60_000;
+const MAX_INACTIVE_EXPIRY_HOURS = 365 * 24;
+
+const LOOP_LIMITS = {
+  loopMaxAiMessages: { min: 2, max: 100 },
+  loopWindowMs: { min: 5_000, max: 60 * 60_000 },
+  loopMaxRepeats: { min: 2, max: 20 },
+};
+
+const DEFAULT_ROOM_SETTINGS = {
+  aiDelayEnabled: true,
+  aiDelayMs: 10_000,
+  holdHumanMessagesWhilePaused: true,
+  pauseControl: 'primary_human',
+  loopGuardEnabled: process.env.LOOP_GUARD_ENABLED !== 'false',
+  loopMaxAiMessages: Number(process.env.LOOP_MAX_AI_MESSAGES || 12),
+  loopWindowMs: Number(process.env.LOOP_WINDOW_MS || 60_000),
+  loopMaxRepeats: Number(process.env.LOOP_MAX_REPEATS || 3),
+  inactiveExpiryHours: Number(process.env.ROOM_INACTIVE_EXPIRY_HOURS || 0),
+};
+
+// Rooms without a saved settings record use the defaults above, as do settings added after a room
+// last saved its record.
+async function loadRoomSettings(roomId) {
+  const saved = Object.entries((await getRoomSettings(roomId)) || {}).filter(([, value]) => value !== null);
+  return { ...DEFAULT_ROOM_SETTINGS, ...Object.fromEntries(saved) };
+}
+
+// Validates a partial settings update. Unknown keys are ignored so clients can send back the
+// whole settings object they received.
+function parseRoomSettingsPatch(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'settings must be an object.' };
+  }
+
+  const patch = {};
+
+  if (input.aiDelayEnabled !== undefined) {
+    if (typeof input.aiDelayEnabled !== 'boolean') return { error: 'aiDelayEnabled must be true or false.' };
+    patch.aiDelayEnabled = input.aiDelayEnabled;
+  }
+
+  if (input.aiDelayMs !== undefined) {
+    const aiDelayMs = Number(input.aiDelayMs);
+    if (!Number.isInteger(aiDelayMs) || aiDelayMs < 1_000 || aiDelayMs > MAX_AI_DELAY_MS) {
+      return { error: `aiDelayMs must be a whole number of milliseconds between 1000 and ${MAX_AI_DELAY_MS}.` };
+    }
+    patch.aiDelayMs = aiDelayMs;
+  }
+
+  if (input.holdHumanMessagesWhilePaused !== undefined) {
+    if (typeof input.holdHumanMessagesWhilePaused !== 'boolean') {
+      return { error: 'holdHumanMessagesWhilePaused must be true or false.' };
+    }
+    patch.holdHumanMessagesWhilePaused = input.holdHumanMessagesWhilePaused;
+  }
+
+  if (input.pauseControl !== undefined) {
+    if (!PAUSE_CONTROL_OPTIONS.includes(input.pauseControl)) {
+      return { error: `pauseControl must be one of: ${PAUSE_CONTROL_OPTIONS.join(', ')}.` };
+    }
+    patch.pauseControl = input.pauseControl;
+  }
+
+  if (input.loopGuardEnabled !== undefined) {
+    if (typeof input.loopGuardEnabled !== 'boolean') return { error: 'loopGuardEnabled must be true or false.' };
+    patch.loopGuardEnabled = input.loopGuardEnabled;
+  }
+
+  for (const [key, { min, max }] of Object.entries(LOOP_LIMITS)) {
+    if (input[key] === undefined) continue;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${key} must be a whole number between ${min} and ${max}.` };
+    }
+    patch[key] = value;
+  }
+
+  if (input.inactiveExpiryHours !== undefined) {
+    const hours = Number(input.inactiveExpiryHours);
+    if (!Number.isInteger(hours) || hours < 0 || hours > MAX_INACTIVE_EXPIRY_HOURS) {
+      return { error: `inactiveExpiryHours must be a whole number between 0 and ${MAX_INACTIVE_EXPIRY_HOURS}.` };
+    }
+    patch.inactiveExpiryHours = hours;
+  }
+
+  if (Object.keys(patch).length === 0) {
+    return { error: 'No recognised settings were provided.' };
+  }
+
+  return { patch };
+}
+
+function formatDelay(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 && seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`;
+}
+
+module.exports = {
+  PAUSE_CONTROL_OPTIONS,
+  MAX_AI_DELAY_MS,
+  MAX_INACTIVE_EXPIRY_HOURS,
+  LOOP_LIMITS,
+  DEFAULT_ROOM_SETTINGS,
+  loadRoomSettings,
+  parseRoomSettingsPatch,
+  formatDelay,
+};
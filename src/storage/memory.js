@@ -0,0 +1,1029 @@
+const { randomUUID } = require('crypto');
+
+// In-process store with the same contract as ./postgres. Data lives only as long as the process,
+// which is what demos, local agent experiments and integration tests want.
+const rooms = new Map();
+const participants = new Map();
+const messages = new Map();
+const cursors = new Map();
+const roomSettings = new Map();
+const tasks = new Map();
+const loopTrips = [];
+const bans = [];
+const auditEvents = [];
+const messageRevisions = [];
+const webhookDeliveries = [];
+
+let nextRoomId = 1;
+let nextParticipantId = 1;
+let nextAuditEventId = 1;
+let lastTimestamp = 0;
+
+function now() {
+  // Keep timestamps strictly increasing so created_at ordering matches insertion order.
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return new Date(lastTimestamp);
+}
+
+function cursorKey(roomId, clientId) {
+  return `${roomId}:${clientId}`;
+}
+
+function toMessage(row) {
+  return {
+    id: row.id,
+    senderSocketId: row.sender_socket_id,
+    senderClientId: row.sender_client_id,
+    senderRole: row.sender_role,
+    body: row.body,
+    senderDisplayName: row.sender_display_name || row.sender_role,
+    status: row.status,
+    emergencyInterject: row.emergency_interject,
+    heldForAi: row.held_for_ai,
+    taskState: row.task_state,
+    taskDescription: row.task_description,
+    delayedForAiUntil: row.delayed_for_ai_until,
+    blockedByInterject: row.blocked_by_interject,
+    releasedAt: row.released_at,
+    reviewState: row.review_state,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    editedAt: row.edited_at,
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by,
+    revisionCount: row.revision_count,
+    replyToId: row.reply_to_id,
+    recipientIds: row.recipient_ids,
+    taskId: row.task_id,
+    contentType: row.content_type,
+    payload: row.payload,
+    createdAt: row.created_at,
+  };
+}
+
+function toTask(row) {
+  return {
+    id: row.id,
+    ownerId: row.owner_client_id,
+    ownerDisplayName: row.owner_display_name,
+    description: row.description,
+    latestNote: row.latest_note,
+    status: row.status,
+    updateCount: row.update_count,
+    closedBy: row.closed_by,
+    cancelReason: row.cancel_reason,
+    startedAt: row.created_at,
+    updatedAt: row.updated_at,
+    closedAt: row.closed_at,
+  };
+}
+
+function compareMessages(a, b) {
+  return a.created_at - b.created_at || a.id.localeCompare(b.id);
+}
+
+function roomMessages(roomId) {
+  return [...messages.values()]
+    .filter((row) => row.room_id === roomId)
+    .sort(compareMessages);
+}
+
+function isVisibleTo(row, isAiViewer, viewerSocketId, viewerClientId) {
+  if (!isAiViewer || row.sender_socket_id === viewerSocketId) return true;
+  if (row.held_for_ai || row.blocked_by_interject || row.review_state === 'rejected') return false;
+  if (row.recipient_ids && !row.recipient_ids.includes(viewerClientId)) return false;
+  return !row.delayed_for_ai_until || new Date(row.delayed_for_ai_until) <= new Date();
+}
+
+async function initializeDatabase() {}
+
+async function getRoomByCode(code) {
+  const room = [...rooms.values()].find((row) => row.room_code === code);
+  return room ? { ...room } : null;
+}
+
+async function createRoom(code) {
+  if (await getRoomByCode(code)) {
+    const error = new Error('duplicate key value violates unique constraint "rooms_room_code_key"');
+    error.code = '23505';
+    throw error;
+  }
+
+  const room = {
+    id: String(nextRoomId++),
+    room_code: code,
+    pause_ai: false,
+    status: 'active',
+    status_changed_by: null,
+    status_changed_at: null,
+    created_at: now(),
+  };
+  rooms.set(room.id, room);
+  return { ...room };
+}
+
+async function setRoomStatus(roomId, status, changedBy) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  room.status = status;
+  room.status_changed_by = changedBy;
+  room.status_changed_at = now();
+  return { ...room };
+}
+
+async function deleteRoom(roomId) {
+  if (!rooms.delete(roomId)) return false;
+  for (const table of [participants, messages, cursors, roomSettings, tasks]) {
+    for (const [key, row] of table) {
+      if (row.room_id === roomId) table.delete(key);
+    }
+  }
+  for (const list of [loopTrips, bans, auditEvents, messageRevisions, webhookDeliveries]) {
+    for (let index = list.length - 1; index >= 0; index -= 1) {
+      if (list[index].room_id === roomId) list.splice(index, 1);
+    }
+  }
+  return true;
+}
+
+async function listExpiredRooms(defaultHours) {
+  const cutoff = Date.now();
+  return [...rooms.values()]
+    .filter((room) => {
+      const hours = roomSettings.get(room.id)?.inactive_expiry_hours ?? defaultHours;
+      if (!hours) return false;
+
+      const members = [...participants.values()].filter((row) => row.room_id === room.id);
+      if (members.some((row) => row.is_online && !String(row.socket_id).startsWith('api:'))) return false;
+
+      const lastActivity = [...roomMessages(room.id).map((row) => row.created_at), ...members.map((row) => row.last_seen_at)]
+        .reduce((latest, date) => Math.max(latest, date?.getTime() || 0), Math.max(room.created_at.getTime(), room.status_changed_at?.getTime() || 0));
+      return lastActivity < cutoff - hours * 3_600_000;
+    })
+    .map((room) => ({ ...room }));
+}
+
+async function listRoomStats({ roomId = null, limit = 200 } = {}) {
+  const recentSince = Date.now() - 24 * 3_600_000;
+  return [...rooms.values()]
+    .filter((room) => !roomId || room.id === roomId)
+    .map((room) => {
+      const members = [...participants.values()].filter((row) => row.room_id === room.id);
+      const history = roomMessages(room.id);
+      return {
+        id: room.id,
+        roomCode: room.room_code,
+        status: room.status,
+        pauseAi: room.pause_ai,
+        createdAt: room.created_at,
+        participantCount: members.length,
+        onlineCount: members.filter((row) => row.is_online).length,
+        messageCount: history.length,
+        messagesLast24h: history.filter((row) => row.created_at.getTime() > recentSince).length,
+        lastMessageAt: history.length > 0 ? history[history.length - 1].created_at : null,
+      };
+    })
+    .sort((a, b) => (b.lastMessageAt || b.createdAt) - (a.lastMessageAt || a.createdAt))
+    .slice(0, limit);
+}
+
+async function getMessages(roomId, viewerRole = 'human', viewerSocketId = '', viewerClientId = '') {
+  const isAiViewer = viewerRole === 'ai';
+  return roomMessages(roomId)
+    .filter((row) => isVisibleTo(row, isAiViewer, viewerSocketId, viewerClientId))
+    .map(toMessage);
+}
+
+async function getMessagePage(roomId, { before = null, after = null, limit }, viewerRole = 'human', viewerSocketId = '', viewerClientId = '') {
+  const cursor = before || after ? messages.get(before || after) : null;
+  if ((before || after) && (!cursor || cursor.room_id !== roomId)) return null;
+
+  const isAiViewer = viewerRole === 'ai';
+  const visible = roomMessages(roomId)
+    .filter((row) => isVisibleTo(row, isAiViewer, viewerSocketId, viewerClientId))
+    .filter((row) => !cursor || (after ? compareMessages(row, cursor) > 0 : compareMessages(row, cursor) < 0));
+
+  const page = after ? visible.slice(0, limit) : visible.slice(-limit);
+  return { messages: page.map(toMessage), hasMore: visible.length > limit };
+}
+
+async function getAllMessagesForParticipant(roomId, clientId) {
+  const participant = await getParticipantByClient(roomId, clientId);
+  if (!participant) return [];
+  return getMessages(roomId, participant.role, participant.socket_id || `api:${clientId}`, clientId);
+}
+
+async function getLatestMessagesForParticipant(roomId, clientId, limit = null) {
+  const participant = await getParticipantByClient(roomId, clientId);
+  if (!participant) return [];
+
+  const cursor = cursors.get(cursorKey(roomId, clientId));
+  const lastSeenCreatedAt = cursor?.last_seen_created_at || null;
+  const lastSeenMessageId = cursor?.last_seen_message_id || '';
+  const isAiViewer = participant.role === 'ai';
+  const viewerSocketId = participant.socket_id || `api:${clientId}`;
+
+  return roomMessages(roomId)
+    .filter((row) => isVisibleTo(row, isAiViewer, viewerSocketId, clientId))
+    .filter((row) => !lastSeenCreatedAt
+      || row.created_at > lastSeenCreatedAt
+      || (row.created_at.getTime() === lastSeenCreatedAt.getTime() && row.id > lastSeenMessageId))
+    .slice(0, limit ?? undefined)
+    .map(toMessage);
+}
+
+async function getThreadForParticipant(roomId, clientId, messageId) {
+  const participant = await getParticipantByClient(roomId, clientId);
+  const start = messages.get(messageId);
+  if (!participant || !start || start.room_id !== roomId) return [];
+
+  let root = start;
+  while (root.reply_to_id && messages.has(root.reply_to_id)) {
+    root = messages.get(root.reply_to_id);
+  }
+
+  const threadIds = new Set([root.id]);
+  const ordered = roomMessages(roomId);
+  for (const row of ordered) {
+    if (row.reply_to_id && threadIds.has(row.reply_to_id)) threadIds.add(row.id);
+  }
+
+  const isAiViewer = participant.role === 'ai';
+  const viewerSocketId = participant.socket_id || `api:${clientId}`;
+  return ordered
+    .filter((row) => threadIds.has(row.id))
+    .filter((row) => isVisibleTo(row, isAiViewer, viewerSocketId, clientId))
+    .map(toMessage);
+}
+
+// Approximates Postgres web search syntax with case-insensitive substring matching: every word or
+// "quoted phrase" must appear and -words must not. There is no stemming.
+function matchesSearchQuery(body, query) {
+  const text = body.toLowerCase();
+  const terms = [...query.toLowerCase().matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)];
+  return terms.every(([, phraseNot, phrase, wordNot, word]) => {
+    const excluded = Boolean(phraseNot || wordNot);
+    const needle = phrase || word;
+    if (!needle || needle === '-' || needle === 'or') return true;
+    return text.includes(needle) !== excluded;
+  });
+}
+
+async function searchMessages(roomId, { query, sender, role, taskState, from, to, limit = 50 }, viewerRole = 'human', viewerSocketId = '', viewerClientId = '') {
+  const isAiViewer = viewerRole === 'ai';
+  const senderKey = sender ? sender.toUpperCase() : '';
+
+  return roomMessages(roomId)
+    .filter((row) => isVisibleTo(row, isAiViewer, viewerSocketId, viewerClientId))
+    .filter((row) => !row.deleted_at)
+    .filter((row) => !query || matchesSearchQuery(row.body, query))
+    .filter((row) => !senderKey || row.sender_client_id === senderKey
+      || String(row.sender_display_name || '').toUpperCase() === senderKey)
+    .filter((row) => !role || row.sender_role === role)
+    .filter((row) => !taskState || taskState.includes(row.task_state))
+    .filter((row) => !from || row.created_at >= from)
+    .filter((row) => !to || row.created_at <= to)
+    .reverse()
+    .slice(0, limit)
+    .map(toMessage);
+}
+
+async function updateParticipantCursor(roomId, clientId, messageList) {
+  if (!messageList || messageList.length === 0) return;
+  const lastMessage = messageList[messageList.length - 1];
+  const lastSeenCreatedAt = new Date(lastMessage.createdAt);
+  const existing = cursors.get(cursorKey(roomId, clientId));
+
+  if (existing?.last_seen_created_at && (existing.last_seen_created_at > lastSeenCreatedAt
+    || (existing.last_seen_created_at.getTime() === lastSeenCreatedAt.getTime() && existing.last_seen_message_id >= lastMessage.id))) {
+    return;
+  }
+
+  cursors.set(cursorKey(roomId, clientId), {
+    room_id: roomId,
+    client_id: clientId,
+    last_seen_created_at: lastSeenCreatedAt,
+    last_seen_message_id: lastMessage.id,
+    updated_at: now(),
+  });
+}
+
+async function saveMessage({
+  roomId,
+  senderSocketId,
+  senderClientId = null,
+  senderRole,
+  senderDisplayName,
+  body,
+  status,
+  emergencyInterject,
+  heldForAi,
+  taskState = 'none',
+  taskDescription = null,
+  delayedForAiUntil = null,
+  replyToId = null,
+  recipientIds = null,
+  taskId = null,
+  contentType = 'text',
+  payload = null,
+  createdAt = null,
+}) {
+  const row = {
+    id: randomUUID(),
+    room_id: roomId,
+    sender_socket_id: senderSocketId,
+    sender_client_id: senderClientId,
+    sender_role: senderRole,
+    sender_display_name: senderDisplayName || null,
+    body,
+    status: status || 'sent',
+    emergency_interject: Boolean(emergencyInterject),
+    held_for_ai: Boolean(heldForAi),
+    task_state: taskState,
+    task_description: taskDescription,
+    delayed_for_ai_until: delayedForAiUntil ? new Date(delayedForAiUntil) : null,
+    blocked_by_interject: false,
+    released_at: null,
+    review_state: null,
+    reviewed_by: null,
+    reviewed_at: null,
+    original_body: null,
+    edited_at: null,
+    deleted_at: null,
+    deleted_by: null,
+    revision_count: 0,
+    reply_to_id: replyToId,
+    recipient_ids: recipientIds && recipientIds.length > 0 ? [...recipientIds] : null,
+    task_id: taskId,
+    content_type: contentType,
+    payload,
+    created_at: createdAt ? new Date(createdAt) : now(),
+  };
+  messages.set(row.id, row);
+  return toMessage(row);
+}
+
+async function getMessageById(roomId, messageId) {
+  const row = messages.get(messageId);
+  return row && row.room_id === roomId ? toMessage(row) : null;
+}
+
+function recordRevision(row, action, changedBy) {
+  row.revision_count += 1;
+  messageRevisions.push({
+    message_id: row.id,
+    room_id: row.room_id,
+    revision: row.revision_count,
+    body: row.body,
+    action,
+    changed_by: changedBy,
+    created_at: now(),
+  });
+}
+
+async function editMessage(roomId, messageId, body, editedBy) {
+  const row = messages.get(messageId);
+  if (!row || row.room_id !== roomId || row.deleted_at) return null;
+  recordRevision(row, 'edit', editedBy);
+  row.body = body;
+  row.edited_at = now();
+  return toMessage(row);
+}
+
+async function deleteMessage(roomId, messageId, deletedBy) {
+  const row = messages.get(messageId);
+  if (!row || row.room_id !== roomId || row.deleted_at) return null;
+  recordRevision(row, 'delete', deletedBy);
+  const timestamp = now();
+  row.body = '';
+  row.payload = null;
+  row.deleted_at = timestamp;
+  row.deleted_by = deletedBy;
+  row.released_at = row.released_at || timestamp;
+  return toMessage(row);
+}
+
+async function listMessageRevisions(roomId, messageId) {
+  return messageRevisions
+    .filter((row) => row.room_id === roomId && row.message_id === messageId)
+    .map((row) => ({
+      revision: row.revision,
+      body: row.body,
+      action: row.action,
+      changedBy: row.changed_by,
+      createdAt: row.created_at,
+    }));
+}
+
+async function getParticipantByClient(roomId, clientId) {
+  const participant = [...participants.values()]
+    .find((row) => row.room_id === roomId && row.client_id === clientId);
+  return participant ? { ...participant } : null;
+}
+
+async function upsertParticipant({ roomId, socketId, clientId, role, displayName, isPrimaryHuman, isOnline = true, address = null }) {
+  const existing = [...participants.values()]
+    .find((row) => row.room_id === roomId && row.client_id === clientId);
+  const timestamp = now();
+
+  if (existing) {
+    existing.socket_id = socketId;
+    existing.display_name = displayName;
+    existing.is_online = Boolean(isOnline);
+    existing.last_seen_at = timestamp;
+    existing.last_address = address || existing.last_address;
+    existing.updated_at = timestamp;
+    return;
+  }
+
+  const row = {
+    id: String(nextParticipantId++),
+    room_id: roomId,
+    socket_id: socketId,
+    client_id: clientId,
+    role,
+    display_name: displayName,
+    is_primary_human: Boolean(isPrimaryHuman),
+    is_moderator: false,
+    is_online: Boolean(isOnline),
+    last_seen_at: timestamp,
+    last_address: address,
+    webhook_url: null,
+    webhook_secret: null,
+    api_token_hash: null,
+    api_token_issued_at: null,
+    api_token_revoked_at: null,
+    created_at: timestamp,
+    updated_at: timestamp,
+  };
+  participants.set(row.id, row);
+}
+
+async function transferPrimaryHuman(roomId, fromClientId, toClientId) {
+  const rows = [...participants.values()]
+    .filter((row) => row.room_id === roomId && row.role === 'human' && [fromClientId, toClientId].includes(row.client_id));
+  if (rows.length !== 2) return false;
+
+  const timestamp = now();
+  for (const row of rows) {
+    const isNewPrimary = row.client_id === toClientId;
+    row.is_primary_human = isNewPrimary;
+    if (isNewPrimary) row.is_moderator = false;
+    row.display_name = isNewPrimary
+      ? row.display_name.replace(/^Human-/, 'MainHuman-')
+      : row.display_name.replace(/^MainHuman-/, 'Human-');
+    row.updated_at = timestamp;
+  }
+  return true;
+}
+
+async function setParticipantModerator(roomId, clientId, isModerator) {
+  const row = [...participants.values()]
+    .find((participant) => participant.room_id === roomId && participant.client_id === clientId);
+  if (!row || row.role !== 'human' || row.is_primary_human) return false;
+  row.is_moderator = isModerator;
+  row.updated_at = now();
+  return true;
+}
+
+async function setParticipantOffline(socketId) {
+  const timestamp = now();
+  for (const row of participants.values()) {
+    if (row.socket_id !== socketId) continue;
+    row.is_online = false;
+    row.last_seen_at = timestamp;
+    row.updated_at = timestamp;
+  }
+}
+
+async function listParticipants(roomId) {
+  return [...participants.values()]
+    .filter((row) => row.room_id === roomId)
+    .sort((a, b) => a.created_at - b.created_at)
+    .map((row) => ({
+      clientId: row.client_id,
+      role: row.role,
+      displayName: row.display_name,
+      isPrimaryHuman: row.is_primary_human,
+      isModerator: row.is_moderator,
+      isOnline: row.is_online,
+      lastSeenAt: row.last_seen_at,
+    }));
+}
+
+async function hasPrimaryHuman(roomId) {
+  return [...participants.values()]
+    .some((row) => row.room_id === roomId && row.role === 'human' && row.is_primary_human);
+}
+
+async function hasOtherAiParticipant(roomId, clientId) {
+  return [...participants.values()]
+    .some((row) => row.room_id === roomId && row.role === 'ai' && row.client_id !== clientId);
+}
+
+async function markDelivered(messageId) {
+  const row = messages.get(messageId);
+  if (row && row.status === 'sent') row.status = 'delivered';
+}
+
+async function markRead(messageIds) {
+  for (const id of messageIds) {
+    const row = messages.get(id);
+    if (row) row.status = 'read';
+  }
+}
+
+async function setRoomPause(roomId, pauseAi) {
+  const room = rooms.get(roomId);
+  if (room) room.pause_ai = pauseAi;
+}
+
+async function getRoomSettings(roomId) {
+  const row = roomSettings.get(roomId);
+  if (!row) return null;
+  return {
+    aiDelayEnabled: row.ai_delay_enabled,
+    aiDelayMs: row.ai_delay_ms,
+    holdHumanMessagesWhilePaused: row.hold_human_messages_while_paused,
+    pauseControl: row.pause_control,
+    loopGuardEnabled: row.loop_guard_enabled,
+    loopMaxAiMessages: row.loop_max_ai_messages,
+    loopWindowMs: row.loop_window_ms,
+    loopMaxRepeats: row.loop_max_repeats,
+    inactiveExpiryHours: row.inactive_expiry_hours,
+  };
+}
+
+async function saveRoomSettings(roomId, settings, updatedBy) {
+  roomSettings.set(roomId, {
+    room_id: roomId,
+    ai_delay_enabled: settings.aiDelayEnabled,
+    ai_delay_ms: settings.aiDelayMs,
+    hold_human_messages_while_paused: settings.holdHumanMessagesWhilePaused,
+    pause_control: settings.pauseControl,
+    loop_guard_enabled: settings.loopGuardEnabled,
+    loop_max_ai_messages: settings.loopMaxAiMessages,
+    loop_window_ms: settings.loopWindowMs,
+    loop_max_repeats: settings.loopMaxRepeats,
+    inactive_expiry_hours: settings.inactiveExpiryHours,
+    updated_by: updatedBy,
+    updated_at: now(),
+  });
+  return getRoomSettings(roomId);
+}
+
+function toLoopTrip(row) {
+  return {
+    id: row.id,
+    reason: row.reason,
+    detail: row.detail,
+    trippedAt: row.tripped_at,
+    resumedBy: row.resumed_by,
+    resumedAt: row.resumed_at,
+  };
+}
+
+async function recordLoopTrip(roomId, { reason, detail }) {
+  const row = {
+    id: loopTrips.length + 1,
+    room_id: roomId,
+    reason,
+    detail,
+    tripped_at: now(),
+    resumed_by: null,
+    resumed_at: null,
+  };
+  loopTrips.push(row);
+  return toLoopTrip(row);
+}
+
+async function getActiveLoopTrip(roomId) {
+  const row = loopTrips.findLast((trip) => trip.room_id === roomId && !trip.resumed_at);
+  return row ? toLoopTrip(row) : null;
+}
+
+async function resolveLoopTrip(roomId, resumedBy) {
+  const open = loopTrips.filter((trip) => trip.room_id === roomId && !trip.resumed_at);
+  const timestamp = now();
+  for (const row of open) {
+    row.resumed_by = resumedBy;
+    row.resumed_at = timestamp;
+  }
+  return open.length > 0 ? toLoopTrip(open[open.length - 1]) : null;
+}
+
+function toBan(row) {
+  return {
+    id: row.id,
+    participantId: row.client_id,
+    displayName: row.display_name,
+    reason: row.reason,
+    blocksAddress: row.address !== null,
+    bannedBy: row.banned_by,
+    bannedAt: row.created_at,
+    liftedBy: row.lifted_by,
+    liftedAt: row.lifted_at,
+  };
+}
+
+async function createBan({ roomId, clientId, displayName, address, reason, bannedBy }) {
+  const row = {
+    id: String(bans.length + 1),
+    room_id: roomId,
+    client_id: clientId,
+    display_name: displayName,
+    address: address || null,
+    reason,
+    banned_by: bannedBy,
+    created_at: now(),
+    lifted_by: null,
+    lifted_at: null,
+  };
+  bans.push(row);
+  return toBan(row);
+}
+
+async function findActiveBan(roomId, { clientId = null, address = null }) {
+  const row = bans.findLast((ban) => ban.room_id === roomId && !ban.lifted_at
+    && (ban.client_id === clientId || (ban.address !== null && ban.address === address)));
+  return row ? toBan(row) : null;
+}
+
+async function listBans(roomId) {
+  return bans
+    .filter((ban) => ban.room_id === roomId && !ban.lifted_at)
+    .reverse()
+    .map(toBan);
+}
+
+async function liftBan(roomId, banId, liftedBy) {
+  const row = bans.find((ban) => ban.room_id === roomId && ban.id === String(banId) && !ban.lifted_at);
+  if (!row) return null;
+  row.lifted_by = liftedBy;
+  row.lifted_at = now();
+  return toBan(row);
+}
+
+function toAuditEvent(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    actorId: row.actor_id,
+    actorRole: row.actor_role,
+    targetId: row.target_id,
+    detail: row.detail ? structuredClone(row.detail) : null,
+    createdAt: row.created_at,
+  };
+}
+
+async function recordAuditEvent({ roomId, action, actorId = null, actorRole = null, targetId = null, detail = null }) {
+  const row = {
+    id: String(nextAuditEventId++),
+    room_id: roomId,
+    action,
+    actor_id: actorId,
+    actor_role: actorRole,
+    target_id: targetId,
+    detail: detail ? structuredClone(detail) : null,
+    created_at: now(),
+  };
+  auditEvents.push(row);
+  return toAuditEvent(row);
+}
+
+async function listAuditEvents(roomId, { before = null, limit = 100 } = {}) {
+  return auditEvents
+    .filter((row) => row.room_id === roomId && (!before || Number(row.id) < Number(before)))
+    .reverse()
+    .slice(0, limit)
+    .map(toAuditEvent);
+}
+
+async function createTask({ roomId, ownerId, ownerDisplayName, description }) {
+  const timestamp = now();
+  const row = {
+    id: randomUUID(),
+    room_id: roomId,
+    owner_client_id: ownerId,
+    owner_display_name: ownerDisplayName || null,
+    description,
+    latest_note: null,
+    status: 'open',
+    update_count: 0,
+    closed_by: null,
+    cancel_reason: null,
+    created_at: timestamp,
+    updated_at: timestamp,
+    closed_at: null,
+  };
+  tasks.set(row.id, row);
+  return toTask(row);
+}
+
+async function getTaskById(roomId, taskId) {
+  const row = tasks.get(taskId);
+  return row && row.room_id === roomId ? toTask(row) : null;
+}
+
+function roomTasks(roomId) {
+  return [...tasks.values()]
+    .filter((row) => row.room_id === roomId)
+    .sort((a, b) => b.created_at - a.created_at);
+}
+
+async function findOpenTaskForOwner(roomId, ownerId) {
+  const row = roomTasks(roomId).find((task) => task.owner_client_id === ownerId && task.status === 'open');
+  return row ? toTask(row) : null;
+}
+
+async function recordTaskProgress(roomId, taskId, { note, complete }) {
+  const row = tasks.get(taskId);
+  if (!row || row.room_id !== roomId || row.status !== 'open') return null;
+
+  const timestamp = now();
+  row.latest_note = note;
+  row.update_count += 1;
+  row.updated_at = timestamp;
+  if (complete) {
+    row.status = 'completed';
+    row.closed_at = timestamp;
+    row.closed_by = row.owner_client_id;
+  }
+  return toTask(row);
+}
+
+async function cancelTask(roomId, taskId, cancelledBy, reason) {
+  const row = tasks.get(taskId);
+  if (!row || row.room_id !== roomId || row.status !== 'open') return null;
+
+  const timestamp = now();
+  Object.assign(row, {
+    status: 'cancelled',
+    closed_by: cancelledBy,
+    cancel_reason: reason,
+    closed_at: timestamp,
+    updated_at: timestamp,
+  });
+  return toTask(row);
+}
+
+async function listTasks(roomId, { status = null, ownerId = null, limit = 200 } = {}) {
+  return roomTasks(roomId)
+    .filter((row) => !status || (status === 'open' ? row.status === 'open' : row.status !== 'open'))
+    .filter((row) => !ownerId || row.owner_client_id === ownerId)
+    .slice(0, limit)
+    .map(toTask);
+}
+
+async function getDailyUsage(roomId, since, clientId = null) {
+  const usage = new Map();
+  for (const row of roomMessages(roomId)) {
+    if (row.sender_role !== 'ai' || !row.sender_client_id || row.created_at < since) continue;
+    if (clientId && row.sender_client_id !== clientId) continue;
+    const entry = usage.get(row.sender_client_id) || { clientId: row.sender_client_id, messages: 0, characters: 0 };
+    entry.messages += 1;
+    entry.characters += row.body.length + (row.payload ? JSON.stringify(row.payload).length : 0);
+    usage.set(row.sender_client_id, entry);
+  }
+  return [...usage.values()];
+}
+
+async function getParticipantRoles(roomId) {
+  const roles = new Set();
+  for (const row of participants.values()) {
+    if (row.room_id === roomId) roles.add(row.role);
+  }
+  return [...roles];
+}
+
+async function markMessageReleased(messageId) {
+  const row = messages.get(messageId);
+  if (!row || row.released_at || row.blocked_by_interject) return false;
+  row.released_at = now();
+  return true;
+}
+
+async function blockMessageByInterject(messageId) {
+  const row = messages.get(messageId);
+  if (!row || row.released_at) return false;
+  row.blocked_by_interject = true;
+  row.released_at = now();
+  return true;
+}
+
+function pendingRoomMessage(roomId, messageId) {
+  const row = messages.get(messageId);
+  if (!row || row.room_id !== roomId || row.released_at || row.blocked_by_interject) return null;
+  return row;
+}
+
+async function approvePendingMessage(roomId, messageId, reviewedBy) {
+  const row = pendingRoomMessage(roomId, messageId);
+  if (!row) return null;
+  const timestamp = now();
+  row.review_state = 'approved';
+  row.reviewed_by = reviewedBy;
+  row.reviewed_at = timestamp;
+  row.released_at = timestamp;
+  row.delayed_for_ai_until = timestamp;
+  return toMessage(row);
+}
+
+async function rejectPendingMessage(roomId, messageId, reviewedBy) {
+  const row = pendingRoomMessage(roomId, messageId);
+  if (!row) return null;
+  const timestamp = now();
+  row.review_state = 'rejected';
+  row.reviewed_by = reviewedBy;
+  row.reviewed_at = timestamp;
+  row.released_at = timestamp;
+  return toMessage(row);
+}
+
+async function editPendingMessage(roomId, messageId, reviewedBy, body) {
+  const row = pendingRoomMessage(roomId, messageId);
+  if (!row) return null;
+  row.original_body = row.original_body ?? row.body;
+  row.body = body;
+  row.review_state = 'edited';
+  row.reviewed_by = reviewedBy;
+  row.reviewed_at = now();
+  return toMessage(row);
+}
+
+async function getPendingAiReleases() {
+  return [...messages.values()]
+    .filter((row) => row.delayed_for_ai_until && !row.released_at && !row.blocked_by_interject && !row.held_for_ai)
+    .sort(compareMessages)
+    .map((row) => ({ roomCode: rooms.get(row.room_id)?.room_code, ...toMessage(row) }));
+}
+
+async function holdPendingAiReleases(roomId) {
+  const pending = roomMessages(roomId)
+    .filter((row) => row.delayed_for_ai_until && !row.released_at && !row.blocked_by_interject);
+  for (const row of pending) {
+    row.held_for_ai = true;
+  }
+  return pending.map((row) => row.id);
+}
+
+async function releaseHeldMessages(roomId) {
+  const released = roomMessages(roomId).filter((row) => row.held_for_ai);
+  for (const row of released) {
+    row.held_for_ai = false;
+  }
+  return released.map(toMessage);
+}
+
+async function setParticipantWebhook(roomId, clientId, webhookUrl, webhookSecret) {
+  for (const row of participants.values()) {
+    if (row.room_id !== roomId || row.client_id !== clientId) continue;
+    row.webhook_url = webhookUrl;
+    row.webhook_secret = webhookSecret;
+    row.updated_at = now();
+  }
+}
+
+async function setParticipantApiToken(roomId, clientId, tokenHash) {
+  for (const row of participants.values()) {
+    if (row.room_id !== roomId || row.client_id !== clientId) continue;
+    const timestamp = now();
+    row.api_token_hash = tokenHash;
+    row.api_token_issued_at = timestamp;
+    row.api_token_revoked_at = null;
+    row.updated_at = timestamp;
+  }
+}
+
+async function revokeParticipantApiToken(roomId, clientId) {
+  for (const row of participants.values()) {
+    if (row.room_id !== roomId || row.client_id !== clientId) continue;
+    const timestamp = now();
+    row.api_token_hash = null;
+    row.api_token_revoked_at = timestamp;
+    row.updated_at = timestamp;
+  }
+}
+
+async function listWebhookTargets(roomId) {
+  return [...participants.values()]
+    .filter((row) => row.room_id === roomId && row.webhook_url)
+    .map((row) => ({
+      clientId: row.client_id,
+      socketId: row.socket_id,
+      role: row.role,
+      webhookUrl: row.webhook_url,
+      webhookSecret: row.webhook_secret,
+    }));
+}
+
+async function recordWebhookDelivery({
+  roomId,
+  clientId,
+  messageId,
+  deliveryId,
+  event,
+  url,
+  attempt,
+  statusCode,
+  error,
+  durationMs,
+}) {
+  webhookDeliveries.push({
+    room_id: roomId,
+    client_id: clientId,
+    message_id: messageId,
+    delivery_id: deliveryId,
+    event,
+    url,
+    attempt,
+    status_code: statusCode,
+    error,
+    duration_ms: durationMs,
+    created_at: now(),
+  });
+}
+
+async function listWebhookDeliveries(roomId, clientId, limit = 50) {
+  return webhookDeliveries
+    .filter((row) => row.room_id === roomId && row.client_id === clientId)
+    .slice(-limit)
+    .reverse()
+    .map((row) => ({
+      deliveryId: row.delivery_id,
+      messageId: row.message_id,
+      event: row.event,
+      url: row.url,
+      attempt: row.attempt,
+      statusCode: row.status_code,
+      error: row.error,
+      durationMs: row.duration_ms,
+      createdAt: row.created_at,
+    }));
+}
+
+module.exports = {
+  initializeDatabase,
+  getRoomByCode,
+  createRoom,
+  setRoomStatus,
+  deleteRoom,
+  listExpiredRooms,
+  listRoomStats,
+  getMessages,
+  getMessagePage,
+  getAllMessagesForParticipant,
+  getLatestMessagesForParticipant,
+  getThreadForParticipant,
+  searchMessages,
+  updateParticipantCursor,
+  saveMessage,
+  getMessageById,
+  editMessage,
+  deleteMessage,
+  listMessageRevisions,
+  markDelivered,
+  markRead,
+  setRoomPause,
+  getRoomSettings,
+  saveRoomSettings,
+  recordLoopTrip,
+  getActiveLoopTrip,
+  resolveLoopTrip,
+  createBan,
+  findActiveBan,
+  listBans,
+  liftBan,
+  recordAuditEvent,
+  listAuditEvents,
+  createTask,
+  getTaskById,
+  findOpenTaskForOwner,
+  recordTaskProgress,
+  cancelTask,
+  listTasks,
+  getDailyUsage,
+  getParticipantRoles,
+  getParticipantByClient,
+  upsertParticipant,
+  transferPrimaryHuman,
+  setParticipantModerator,
+  setParticipantOffline,
+  listParticipants,
+  hasPrimaryHuman,
+  hasOtherAiParticipant,
+  markMessageReleased,
+  blockMessageByInterject,
+  approvePendingMessage,
+  rejectPendingMessage,
+  editPendingMessage,
+  releaseHeldMessages,
+  getPendingAiReleases,
+  holdPendingAiReleases,
+  setParticipantWebhook,
+  setParticipantApiToken,
+  revokeParticipantApiToken,
+  listWebhookTargets,
+  recordWebhookDelivery,
+  listWebhookDeliveries,
+};
@@ -0,0 +1,1196 @@
+const { Pool } = require('pg');
+
+if (!process.env.DATABASE_URL) {
+  console.warn('DATABASE_URL is not set. Supabase database connection is required.');
+}
+
+function createPool(connectionString) {
+  const useSsl = Boolean(connectionString) && process.env.DATABASE_SSL !== 'false';
+  return new Pool({
+    connectionString,
+    ssl: useSsl ? { rejectUnauthorized: false } : undefined,
+  });
+}
+
+const pool = createPool(process.env.DATABASE_URL);
+
+const MESSAGE_FIELDS = `id, sender_socket_id AS "senderSocketId", sender_client_id AS "senderClientId",
+  sender_role AS "senderRole", body,
+  COALESCE(sender_display_name, sender_role) AS "senderDisplayName",
+  status, emergency_interject AS "emergencyInterject", held_for_ai AS "heldForAi",
+  task_state AS "taskState", task_description AS "taskDescription",
+  delayed_for_ai_until AS "delayedForAiUntil", blocked_by_interject AS "blockedByInterject",
+  released_at AS "releasedAt", review_state AS "reviewState", reviewed_by AS "reviewedBy",
+  reviewed_at AS "reviewedAt", edited_at AS "editedAt", deleted_at AS "deletedAt", deleted_by AS "deletedBy",
+  revision_count AS "revisionCount", reply_to_id AS "replyToId",
+  recipient_ids AS "recipientIds", task_id AS "taskId", content_type AS "contentType", payload,
+  created_at AS "createdAt"`;
+
+// AI viewers see their own messages, plus messages that are released to AI, not held by a pause or
+// the loop guard, not rejected and either broadcast or addressed to them. Humans see everything.
+function aiVisibilityFilter(isAiViewerParam, viewerSocketParam, viewerClientParam) {
+  return `(
+         ${isAiViewerParam}::boolean = FALSE
+         OR sender_socket_id = ${viewerSocketParam}
+         OR (
+           blocked_by_interject = FALSE
+           AND held_for_ai = FALSE
+           AND review_state IS DISTINCT FROM 'rejected'
+           AND (delayed_for_ai_until IS NULL OR delayed_for_ai_until <= NOW())
+           AND (recipient_ids IS NULL OR ${viewerClientParam} = ANY(recipient_ids))
+         )
+       )`;
+}
+
+async function initializeDatabase() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      id BIGSERIAL PRIMARY KEY,
+      room_code TEXT UNIQUE NOT NULL,
+      pause_ai BOOLEAN NOT NULL DEFAULT FALSE,
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived', 'closed')),
+      status_changed_by TEXT,
+      status_changed_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS participants (
+      id BIGSERIAL PRIMARY KEY,
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      socket_id TEXT,
+      client_id TEXT,
+      role TEXT NOT NULL CHECK (role IN ('human', 'ai', 'observer')),
+      display_name TEXT,
+      is_primary_human BOOLEAN NOT NULL DEFAULT FALSE,
+      is_online BOOLEAN NOT NULL DEFAULT TRUE,
+      last_seen_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS messages (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      sender_socket_id TEXT NOT NULL,
+      sender_role TEXT NOT NULL CHECK (sender_role IN ('human', 'ai')),
+      sender_display_name TEXT,
+      body TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('sent', 'delivered', 'read')) DEFAULT 'sent',
+      emergency_interject BOOLEAN NOT NULL DEFAULT FALSE,
+      held_for_ai BOOLEAN NOT NULL DEFAULT FALSE,
+      task_state TEXT NOT NULL DEFAULT 'none' CHECK (task_state IN ('none', 'task_start', 'task_update', 'task_complete')),
+      task_description TEXT,
+      delayed_for_ai_until TIMESTAMPTZ,
+      blocked_by_interject BOOLEAN NOT NULL DEFAULT FALSE,
+      released_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS participant_message_cursors (
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      client_id TEXT NOT NULL,
+      last_seen_created_at TIMESTAMPTZ,
+      last_seen_message_id UUID,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (room_id, client_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS message_revisions (
+      id BIGSERIAL PRIMARY KEY,
+      message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('edit', 'delete')),
+      changed_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (message_id, revision)
+    );
+
+    CREATE TABLE IF NOT EXISTS room_settings (
+      room_id BIGINT PRIMARY KEY REFERENCES rooms(id) ON DELETE CASCADE,
+      ai_delay_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      ai_delay_ms INTEGER NOT NULL DEFAULT 10000,
+      hold_human_messages_while_paused BOOLEAN NOT NULL DEFAULT TRUE,
+      pause_control TEXT NOT NULL DEFAULT 'primary_human' CHECK (pause_control IN ('primary_human', 'any_human')),
+      updated_by TEXT,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS tasks (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      owner_client_id TEXT NOT NULL,
+      owner_display_name TEXT,
+      description TEXT NOT NULL,
+      latest_note TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed', 'cancelled')),
+      update_count INTEGER NOT NULL DEFAULT 0,
+      closed_by TEXT,
+      cancel_reason TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      closed_at TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS loop_trips (
+      id BIGSERIAL PRIMARY KEY,
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      reason TEXT NOT NULL CHECK (reason IN ('rate', 'repetition')),
+      detail TEXT NOT NULL,
+      tripped_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      resumed_by TEXT,
+      resumed_at TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS participant_bans (
+      id BIGSERIAL PRIMARY KEY,
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      client_id TEXT NOT NULL,
+      display_name TEXT,
+      address TEXT,
+      reason TEXT,
+      banned_by TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      lifted_by TEXT,
+      lifted_at TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id BIGSERIAL PRIMARY KEY,
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      action TEXT NOT NULL,
+      actor_id TEXT,
+      actor_role TEXT,
+      target_id TEXT,
+      detail JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      room_id BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+      client_id TEXT NOT NULL,
+      message_id UUID,
+      delivery_id UUID NOT NULL,
+      event TEXT NOT NULL,
+      url TEXT NOT NULL,
+      attempt INTEGER NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS task_state TEXT NOT NULL DEFAULT 'none';
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS task_description TEXT;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS delayed_for_ai_until TIMESTAMPTZ;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS blocked_by_interject BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS released_at TIMESTAMPTZ;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS display_name TEXT;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS client_id TEXT;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS is_primary_human BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS is_online BOOLEAN NOT NULL DEFAULT TRUE;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS sender_display_name TEXT;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS webhook_url TEXT;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS webhook_secret TEXT;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS api_token_hash TEXT;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS api_token_issued_at TIMESTAMPTZ;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS api_token_revoked_at TIMESTAMPTZ;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS review_state TEXT CHECK (review_state IN ('approved', 'rejected', 'edited'));
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS original_body TEXT;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS sender_client_id TEXT;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS revision_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS recipient_ids TEXT[];
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS task_id UUID REFERENCES tasks(id) ON DELETE SET NULL;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS content_type TEXT NOT NULL DEFAULT 'text' CHECK (content_type IN ('text', 'markdown', 'json'));
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS payload JSONB;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS is_moderator BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS last_address TEXT;
+    ALTER TABLE room_settings ADD COLUMN IF NOT EXISTS loop_guard_enabled BOOLEAN;
+    ALTER TABLE room_settings ADD COLUMN IF NOT EXISTS loop_max_ai_messages INTEGER;
+    ALTER TABLE room_settings ADD COLUMN IF NOT EXISTS loop_window_ms INTEGER;
+    ALTER TABLE room_settings ADD COLUMN IF NOT EXISTS loop_max_repeats INTEGER;
+    ALTER TABLE room_settings ADD COLUMN IF NOT EXISTS inactive_expiry_hours INTEGER;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived', 'closed'));
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS status_changed_by TEXT;
+    ALTER TABLE rooms ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+    DELETE FROM participants older
+    USING participants newer
+    WHERE older.room_id = newer.room_id
+      AND older.client_id IS NOT NULL
+      AND older.client_id = newer.client_id
+      AND older.id < newer.id;
+
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'messages_task_state_check'
+      ) THEN
+        ALTER TABLE messages
+        ADD CONSTRAINT messages_task_state_check
+        CHECK (task_state IN ('none', 'task_start', 'task_update', 'task_complete'));
+      END IF;
+    END $$;
+
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'participants_role_check'
+          AND pg_get_constraintdef(oid) LIKE '%observer%'
+      ) THEN
+        ALTER TABLE participants DROP CONSTRAINT IF EXISTS participants_role_check;
+        ALTER TABLE participants
+        ADD CONSTRAINT participants_role_check
+        CHECK (role IN ('human', 'ai', 'observer'));
+      END IF;
+    END $$;
+
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'participants_room_client_unique'
+      ) THEN
+        ALTER TABLE participants
+        ADD CONSTRAINT participants_room_client_unique UNIQUE (room_id, client_id);
+      END IF;
+    END $$;
+
+    CREATE INDEX IF NOT EXISTS idx_rooms_code ON rooms (room_code);
+    CREATE INDEX IF NOT EXISTS idx_messages_room_created ON messages (room_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_messages_delay ON messages (room_id, delayed_for_ai_until);
+    CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages (reply_to_id) WHERE reply_to_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_messages_body_search ON messages USING GIN (to_tsvector('english', body));
+    CREATE INDEX IF NOT EXISTS idx_messages_unreleased ON messages (delayed_for_ai_until)
+      WHERE released_at IS NULL AND blocked_by_interject = FALSE;
+    CREATE INDEX IF NOT EXISTS idx_participants_room_client ON participants (room_id, client_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_participant ON webhook_deliveries (room_id, client_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_tasks_room_status ON tasks (room_id, status, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_loop_trips_active ON loop_trips (room_id) WHERE resumed_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_participant_bans_active ON participant_bans (room_id, client_id) WHERE lifted_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_audit_events_room ON audit_events (room_id, id DESC);
+  `);
+}
+
+async function getRoomByCode(code) {
+  const { rows } = await pool.query('SELECT * FROM rooms WHERE room_code = $1 LIMIT 1', [code]);
+  return rows[0] || null;
+}
+
+async function createRoom(code) {
+  const { rows } = await pool.query('INSERT INTO rooms (room_code) VALUES ($1) RETURNING *', [code]);
+  return rows[0];
+}
+
+async function setRoomStatus(roomId, status, changedBy) {
+  const { rows } = await pool.query(
+    `UPDATE rooms SET status = $2, status_changed_by = $3, status_changed_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [roomId, status, changedBy],
+  );
+  return rows[0] || null;
+}
+
+// Every room-scoped table references rooms with ON DELETE CASCADE, so this removes the whole room.
+async function deleteRoom(roomId) {
+  const { rowCount } = await pool.query('DELETE FROM rooms WHERE id = $1', [roomId]);
+  return rowCount > 0;
+}
+
+// Rooms whose expiry window (the room setting, or defaultHours when unset) has passed since their
+// last message, join or status change, skipping rooms that still have a browser connected.
+async function listExpiredRooms(defaultHours) {
+  const { rows } = await pool.query(
+    `SELECT r.* FROM rooms r
+     LEFT JOIN room_settings rs ON rs.room_id = r.id
+     WHERE COALESCE(rs.inactive_expiry_hours, $1) > 0
+       AND NOT EXISTS (
+         SELECT 1 FROM participants p
+         WHERE p.room_id = r.id AND p.is_online = TRUE AND p.socket_id NOT LIKE 'api:%'
+       )
+       AND GREATEST(
+         r.created_at,
+         r.status_changed_at,
+         (SELECT MAX(m.created_at) FROM messages m WHERE m.room_id = r.id),
+         (SELECT MAX(p.last_seen_at) FROM participants p WHERE p.room_id = r.id)
+       ) < NOW() - make_interval(hours => COALESCE(rs.inactive_expiry_hours, $1))`,
+    [defaultHours],
+  );
+  return rows;
+}
+
+// Activity totals per room for the admin console, most recently active first. Pass roomId to load a
+// single room.
+async function listRoomStats({ roomId = null, limit = 200 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT r.id, r.room_code AS "roomCode", r.status, r.pause_ai AS "pauseAi", r.created_at AS "createdAt",
+            COALESCE(p.total, 0) AS "participantCount", COALESCE(p.online, 0) AS "onlineCount",
+            COALESCE(m.total, 0) AS "messageCount", COALESCE(m.recent, 0) AS "messagesLast24h",
+            m.last_at AS "lastMessageAt"
+     FROM rooms r
+     LEFT JOIN (
+       SELECT room_id, COUNT(*)::int AS total, (COUNT(*) FILTER (WHERE is_online))::int AS online
+       FROM participants GROUP BY room_id
+     ) p ON p.room_id = r.id
+     LEFT JOIN (
+       SELECT room_id, COUNT(*)::int AS total,
+              (COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '24 hours'))::int AS recent,
+              MAX(created_at) AS last_at
+       FROM messages GROUP BY room_id
+     ) m ON m.room_id = r.id
+     WHERE $1::bigint IS NULL OR r.id = $1
+     ORDER BY COALESCE(m.last_at, r.created_at) DESC
+     LIMIT $2`,
+    [roomId, limit],
+  );
+  return rows;
+}
+
+async function getMessages(roomId, viewerRole = 'human', viewerSocketId = '', viewerClientId = '') {
+  const isAiViewer = viewerRole === 'ai';
+  const { rows } = await pool.query(
+    `SELECT ${MESSAGE_FIELDS}
+     FROM messages
+     WHERE room_id = $1
+       AND ${aiVisibilityFilter('$2', '$3', '$4')}
+     ORDER BY created_at ASC`,
+    [roomId, isAiViewer, viewerSocketId, viewerClientId || ''],
+  );
+  return rows;
+}
+
+// Keyset pagination on (created_at, id). Without a cursor the newest page is returned; pages are
+// always oldest first. Returns null when the cursor is not a message in this room.
+async function getMessagePage(roomId, { before = null, after = null, limit }, viewerRole = 'human', viewerSocketId = '', viewerClientId = '') {
+  const cursorId = before || after;
+  let cursor = null;
+  if (cursorId) {
+    const { rows } = await pool.query('SELECT created_at, id FROM messages WHERE room_id = $1 AND id = $2', [roomId, cursorId]);
+    if (!rows[0]) return null;
+    cursor = rows[0];
+  }
+
+  const newestFirst = !after;
+  const { rows } = await pool.query(
+    `SELECT ${MESSAGE_FIELDS}
+     FROM messages
+     WHERE room_id = $1
+       AND ${aiVisibilityFilter('$2', '$3', '$4')}
+       AND ($5::timestamptz IS NULL OR (created_at, id) ${after ? '>' : '<'} ($5, $6::uuid))
+     ORDER BY created_at ${newestFirst ? 'DESC' : 'ASC'}, id ${newestFirst ? 'DESC' : 'ASC'}
+     LIMIT $7`,
+    [roomId, viewerRole === 'ai', viewerSocketId, viewerClientId || '', cursor?.created_at || null, cursor?.id || null, limit + 1],
+  );
+
+  const page = rows.slice(0, limit);
+  return { messages: newestFirst ? page.reverse() : page, hasMore: rows.length > limit };
+}
+
+async function getAllMessagesForParticipant(roomId, clientId) {
+  const participant = await getParticipantByClient(roomId, clientId);
+  if (!participant) return [];
+  return getMessages(roomId, participant.role, participant.socket_id || `api:${clientId}`, clientId);
+}
+
+async function getLatestMessagesForParticipant(roomId, clientId, limit = null) {
+  const participant = await getParticipantByClient(roomId, clientId);
+  if (!participant) return [];
+
+  const cursor = await pool.query(
+    `SELECT last_seen_created_at AS "lastSeenCreatedAt", last_seen_message_id AS "lastSeenMessageId"
+     FROM participant_message_cursors
+     WHERE room_id = $1 AND client_id = $2`,
+    [roomId, clientId],
+  );
+
+  const lastSeenCreatedAt = cursor.rows[0]?.lastSeenCreatedAt || null;
+  const lastSeenMessageId = cursor.rows[0]?.lastSeenMessageId || null;
+  const isAiViewer = participant.role === 'ai';
+
+  const { rows } = await pool.query(
+    `SELECT ${MESSAGE_FIELDS}
+     FROM messages
+     WHERE room_id = $1
+       AND ${aiVisibilityFilter('$2', '$3', '$6')}
+       AND (
+         $4::timestamptz IS NULL
+         OR created_at > $4
+         OR (created_at = $4 AND id::text > COALESCE($5::text, ''))
+       )
+     ORDER BY created_at ASC, id ASC
+     LIMIT $7`,
+    [roomId, isAiViewer, participant.socket_id || `api:${clientId}`, lastSeenCreatedAt, lastSeenMessageId, clientId, limit],
+  );
+
+  return rows;
+}
+
+// Walks up to the thread root from any message in it, then returns the root and every reply below it.
+async function getThreadForParticipant(roomId, clientId, messageId) {
+  const participant = await getParticipantByClient(roomId, clientId);
+  if (!participant) return [];
+
+  const { rows } = await pool.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, reply_to_id, 0 AS depth FROM messages WHERE room_id = $1 AND id = $2
+       UNION ALL
+       SELECT parent.id, parent.reply_to_id, ancestors.depth + 1
+       FROM messages parent
+       JOIN ancestors ON parent.id = ancestors.reply_to_id
+       WHERE parent.room_id = $1
+     ), root AS (
+       SELECT id FROM ancestors ORDER BY depth DESC LIMIT 1
+     ), thread AS (
+       SELECT id FROM root
+       UNION
+       SELECT reply.id FROM messages reply JOIN thread ON reply.reply_to_id = thread.id WHERE reply.room_id = $1
+     )
+     SELECT ${MESSAGE_FIELDS}
+     FROM messages
+     WHERE id IN (SELECT id FROM thread)
+       AND ${aiVisibilityFilter('$3', '$4', '$5')}
+     ORDER BY created_at ASC, id ASC`,
+    [roomId, messageId, participant.role === 'ai', participant.socket_id || `api:${clientId}`, clientId],
+  );
+  return rows;
+}
+
+// Full-text search over the messages a viewer can see under the getMessages rules, newest first.
+// `query` uses web search syntax ("quoted phrases", -excluded, or) and every other filter is optional.
+async function searchMessages(roomId, { query, sender, role, taskState, from, to, limit = 50 }, viewerRole = 'human', viewerSocketId = '', viewerClientId = '') {
+  const params = [roomId, viewerRole === 'ai', viewerSocketId, viewerClientId || ''];
+  const conditions = ['room_id = $1', aiVisibilityFilter('$2', '$3', '$4'), 'deleted_at IS NULL'];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replaceAll('?', `$${params.length}`));
+  };
+
+  if (query) addCondition("to_tsvector('english', body) @@ websearch_to_tsquery('english', ?)", query);
+  if (sender) addCondition('(sender_client_id = UPPER(?) OR UPPER(sender_display_name) = UPPER(?))', sender);
+  if (role) addCondition('sender_role = ?', role);
+  if (taskState) addCondition('task_state = ANY(?::text[])', taskState);
+  if (from) addCondition('created_at >= ?', from);
+  if (to) addCondition('created_at <= ?', to);
+  params.push(limit);
+
+  const { rows } = await pool.query(
+    `SELECT ${MESSAGE_FIELDS}
+     FROM messages
+     WHERE ${conditions.join('\n       AND ')}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params,
+  );
+  return rows;
+}
+
+async function updateParticipantCursor(roomId, clientId, messages) {
+  if (!messages || messages.length === 0) return;
+  const lastMessage = messages[messages.length - 1];
+
+  await pool.query(
+    `INSERT INTO participant_message_cursors (room_id, client_id, last_seen_created_at, last_seen_message_id, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (room_id, client_id)
+     DO UPDATE SET
+       last_seen_created_at = EXCLUDED.last_seen_created_at,
+       last_seen_message_id = EXCLUDED.last_seen_message_id,
+       updated_at = NOW()
+     WHERE participant_message_cursors.last_seen_created_at IS NULL
+       OR (participant_message_cursors.last_seen_created_at, participant_message_cursors.last_seen_message_id::text)
+          < (EXCLUDED.last_seen_created_at, EXCLUDED.last_seen_message_id::text)`,
+    [roomId, clientId, lastMessage.createdAt, lastMessage.id],
+  );
+}
+
+async function saveMessage({
+  roomId,
+  senderSocketId,
+  senderClientId = null,
+  senderRole,
+  senderDisplayName,
+  body,
+  status,
+  emergencyInterject,
+  heldForAi,
+  taskState = 'none',
+  taskDescription = null,
+  delayedForAiUntil = null,
+  replyToId = null,
+  recipientIds = null,
+  taskId = null,
+  contentType = 'text',
+  payload = null,
+  createdAt = null,
+}) {
+  const { rows } = await pool.query(
+    `INSERT INTO messages (
+      room_id, sender_socket_id, sender_role, body, status, emergency_interject, held_for_ai,
+      sender_display_name, task_state, task_description, delayed_for_ai_until, sender_client_id, reply_to_id,
+      recipient_ids, task_id, content_type, payload, created_at
+    )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17::jsonb, COALESCE($18::timestamptz, NOW()))
+     RETURNING ${MESSAGE_FIELDS}`,
+    [
+      roomId, senderSocketId, senderRole, body, status, emergencyInterject, heldForAi, senderDisplayName,
+      taskState, taskDescription, delayedForAiUntil, senderClientId, replyToId, recipientIds, taskId,
+      contentType, payload === null ? null : JSON.stringify(payload), createdAt,
+    ],
+  );
+  return rows[0];
+}
+
+async function getMessageById(roomId, messageId) {
+  const { rows } = await pool.query(
+    `SELECT ${MESSAGE_FIELDS} FROM messages WHERE room_id = $1 AND id = $2`,
+    [roomId, messageId],
+  );
+  return rows[0] || null;
+}
+
+// Each change stores the body it replaces as the next revision, so revision 1 is the original text.
+async function editMessage(roomId, messageId, body, editedBy) {
+  const { rows } = await pool.query(
+    `WITH target AS (
+       SELECT id AS target_id, body AS previous_body, revision_count AS previous_count
+       FROM messages
+       WHERE room_id = $1 AND id = $2 AND deleted_at IS NULL
+       FOR UPDATE
+     ), revision AS (
+       INSERT INTO message_revisions (message_id, room_id, revision, body, action, changed_by)
+       SELECT target_id, $1, previous_count + 1, previous_body, 'edit', $4 FROM target
+     )
+     UPDATE messages
+     SET body = $3, edited_at = NOW(), revision_count = target.previous_count + 1
+     FROM target
+     WHERE messages.id = target.target_id
+     RETURNING ${MESSAGE_FIELDS}`,
+    [roomId, messageId, body, editedBy],
+  );
+  return rows[0] || null;
+}
+
+async function deleteMessage(roomId, messageId, deletedBy) {
+  const { rows } = await pool.query(
+    `WITH target AS (
+       SELECT id AS target_id, body AS previous_body, revision_count AS previous_count
+       FROM messages
+       WHERE room_id = $1 AND id = $2 AND deleted_at IS NULL
+       FOR UPDATE
+     ), revision AS (
+       INSERT INTO message_revisions (message_id, room_id, revision, body, action, changed_by)
+       SELECT target_id, $1, previous_count + 1, previous_body, 'delete', $3 FROM target
+     )
+     UPDATE messages
+     SET body = '', payload = NULL, deleted_at = NOW(), deleted_by = $3, revision_count = target.previous_count + 1,
+         released_at = COALESCE(released_at, NOW())
+     FROM target
+     WHERE messages.id = target.target_id
+     RETURNING ${MESSAGE_FIELDS}`,
+    [roomId, messageId, deletedBy],
+  );
+  return rows[0] || null;
+}
+
+async function listMessageRevisions(roomId, messageId) {
+  const { rows } = await pool.query(
+    `SELECT revision, body, action, changed_by AS "changedBy", created_at AS "createdAt"
+     FROM message_revisions
+     WHERE room_id = $1 AND message_id = $2
+     ORDER BY revision ASC`,
+    [roomId, messageId],
+  );
+  return rows;
+}
+
+async function getParticipantByClient(roomId, clientId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM participants WHERE room_id = $1 AND client_id = $2 LIMIT 1`,
+    [roomId, clientId],
+  );
+  return rows[0] || null;
+}
+
+async function upsertParticipant({ roomId, socketId, clientId, role, displayName, isPrimaryHuman, isOnline = true, address = null }) {
+  await pool.query(
+    `INSERT INTO participants (room_id, socket_id, client_id, role, display_name, is_primary_human, is_online, last_seen_at, last_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), $8)
+     ON CONFLICT (room_id, client_id)
+     DO UPDATE SET socket_id = EXCLUDED.socket_id,
+                   role = participants.role,
+                   display_name = EXCLUDED.display_name,
+                   is_primary_human = participants.is_primary_human,
+                   is_online = EXCLUDED.is_online,
+                   last_seen_at = NOW(),
+                   last_address = COALESCE(EXCLUDED.last_address, participants.last_address),
+                   updated_at = NOW()`,
+    [roomId, socketId, clientId, role, displayName, Boolean(isPrimaryHuman), Boolean(isOnline), address],
+  );
+}
+
+// Hands the primary human flag (and the MainHuman- name prefix) from one human to another. The new
+// primary human stops being a moderator, since the primary role already includes those rights.
+async function transferPrimaryHuman(roomId, fromClientId, toClientId) {
+  const { rowCount } = await pool.query(
+    `UPDATE participants
+     SET is_primary_human = (client_id = $3),
+         is_moderator = CASE WHEN client_id = $3 THEN FALSE ELSE is_moderator END,
+         display_name = CASE
+           WHEN client_id = $3 THEN regexp_replace(display_name, '^Human-', 'MainHuman-')
+           ELSE regexp_replace(display_name, '^MainHuman-', 'Human-')
+         END,
+         updated_at = NOW()
+     WHERE room_id = $1 AND role = 'human' AND client_id IN ($2, $3)`,
+    [roomId, fromClientId, toClientId],
+  );
+  return rowCount === 2;
+}
+
+async function setParticipantModerator(roomId, clientId, isModerator) {
+  const { rowCount } = await pool.query(
+    `UPDATE participants SET is_moderator = $3, updated_at = NOW()
+     WHERE room_id = $1 AND client_id = $2 AND role = 'human' AND is_primary_human = FALSE`,
+    [roomId, clientId, isModerator],
+  );
+  return rowCount > 0;
+}
+
+async function setParticipantOffline(socketId) {
+  await pool.query(
+    `UPDATE participants
+     SET is_online = FALSE, last_seen_at = NOW(), updated_at = NOW()
+     WHERE socket_id = $1`,
+    [socketId],
+  );
+}
+
+async function listParticipants(roomId) {
+  const { rows } = await pool.query(
+    `SELECT client_id AS "clientId", role, display_name AS "displayName",
+            is_primary_human AS "isPrimaryHuman", is_moderator AS "isModerator",
+            is_online AS "isOnline", last_seen_at AS "lastSeenAt"
+     FROM participants
+     WHERE room_id = $1
+     ORDER BY created_at ASC`,
+    [roomId],
+  );
+  return rows;
+}
+
+async function hasPrimaryHuman(roomId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM participants WHERE room_id = $1 AND role = 'human' AND is_primary_human = TRUE LIMIT 1`,
+    [roomId],
+  );
+  return rows.length > 0;
+}
+
+async function hasOtherAiParticipant(roomId, clientId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM participants WHERE room_id = $1 AND role = 'ai' AND client_id IS DISTINCT FROM $2 LIMIT 1`,
+    [roomId, clientId],
+  );
+  return rows.length > 0;
+}
+
+async function markDelivered(messageId) {
+  await pool.query(`UPDATE messages SET status = 'delivered' WHERE id = $1 AND status = 'sent'`, [messageId]);
+}
+
+async function markRead(messageIds) {
+  await pool.query(`UPDATE messages SET status = 'read' WHERE id = ANY($1::uuid[])`, [messageIds]);
+}
+
+async function setRoomPause(roomId, pauseAi) {
+  await pool.query('UPDATE rooms SET pause_ai = $2 WHERE id = $1', [roomId, pauseAi]);
+}
+
+const ROOM_SETTINGS_FIELDS = `ai_delay_enabled AS "aiDelayEnabled", ai_delay_ms AS "aiDelayMs",
+  hold_human_messages_while_paused AS "holdHumanMessagesWhilePaused", pause_control AS "pauseControl",
+  loop_guard_enabled AS "loopGuardEnabled", loop_max_ai_messages AS "loopMaxAiMessages",
+  loop_window_ms AS "loopWindowMs", loop_max_repeats AS "loopMaxRepeats",
+  inactive_expiry_hours AS "inactiveExpiryHours"`;
+
+async function getRoomSettings(roomId) {
+  const { rows } = await pool.query(`SELECT ${ROOM_SETTINGS_FIELDS} FROM room_settings WHERE room_id = $1`, [roomId]);
+  return rows[0] || null;
+}
+
+async function saveRoomSettings(roomId, settings, updatedBy) {
+  const { rows } = await pool.query(
+    `INSERT INTO room_settings (
+      room_id, ai_delay_enabled, ai_delay_ms, hold_human_messages_while_paused, pause_control,
+      loop_guard_enabled, loop_max_ai_messages, loop_window_ms, loop_max_repeats, inactive_expiry_hours,
+      updated_by, updated_at
+    )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+     ON CONFLICT (room_id)
+     DO UPDATE SET ai_delay_enabled = EXCLUDED.ai_delay_enabled,
+                   ai_delay_ms = EXCLUDED.ai_delay_ms,
+                   hold_human_messages_while_paused = EXCLUDED.hold_human_messages_while_paused,
+                   pause_control = EXCLUDED.pause_control,
+                   loop_guard_enabled = EXCLUDED.loop_guard_enabled,
+                   loop_max_ai_messages = EXCLUDED.loop_max_ai_messages,
+                   loop_window_ms = EXCLUDED.loop_window_ms,
+                   loop_max_repeats = EXCLUDED.loop_max_repeats,
+                   inactive_expiry_hours = EXCLUDED.inactive_expiry_hours,
+                   updated_by = EXCLUDED.updated_by,
+                   updated_at = NOW()
+     RETURNING ${ROOM_SETTINGS_FIELDS}`,
+    [
+      roomId,
+      settings.aiDelayEnabled,
+      settings.aiDelayMs,
+      settings.holdHumanMessagesWhilePaused,
+      settings.pauseControl,
+      settings.loopGuardEnabled,
+      settings.loopMaxAiMessages,
+      settings.loopWindowMs,
+      settings.loopMaxRepeats,
+      settings.inactiveExpiryHours,
+      updatedBy,
+    ],
+  );
+  return rows[0];
+}
+
+const LOOP_TRIP_FIELDS = `id, reason, detail, tripped_at AS "trippedAt", resumed_by AS "resumedBy",
+  resumed_at AS "resumedAt"`;
+
+async function recordLoopTrip(roomId, { reason, detail }) {
+  const { rows } = await pool.query(
+    `INSERT INTO loop_trips (room_id, reason, detail)
+     VALUES ($1, $2, $3)
+     RETURNING ${LOOP_TRIP_FIELDS}`,
+    [roomId, reason, detail],
+  );
+  return rows[0];
+}
+
+async function getActiveLoopTrip(roomId) {
+  const { rows } = await pool.query(
+    `SELECT ${LOOP_TRIP_FIELDS} FROM loop_trips
+     WHERE room_id = $1 AND resumed_at IS NULL
+     ORDER BY tripped_at DESC
+     LIMIT 1`,
+    [roomId],
+  );
+  return rows[0] || null;
+}
+
+// Closes every open trip for the room and returns the most recent one, or null if none was open.
+async function resolveLoopTrip(roomId, resumedBy) {
+  const { rows } = await pool.query(
+    `UPDATE loop_trips SET resumed_by = $2, resumed_at = NOW()
+     WHERE room_id = $1 AND resumed_at IS NULL
+     RETURNING ${LOOP_TRIP_FIELDS}`,
+    [roomId, resumedBy],
+  );
+  return rows.sort((a, b) => b.trippedAt - a.trippedAt)[0] || null;
+}
+
+const BAN_FIELDS = `id, client_id AS "participantId", display_name AS "displayName", reason,
+  address IS NOT NULL AS "blocksAddress", banned_by AS "bannedBy", created_at AS "bannedAt",
+  lifted_by AS "liftedBy", lifted_at AS "liftedAt"`;
+
+async function createBan({ roomId, clientId, displayName, address, reason, bannedBy }) {
+  const { rows } = await pool.query(
+    `INSERT INTO participant_bans (room_id, client_id, display_name, address, reason, banned_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${BAN_FIELDS}`,
+    [roomId, clientId, displayName, address, reason, bannedBy],
+  );
+  return rows[0];
+}
+
+// Matches an active ban on the participant ID, or on the network address when the ban recorded one.
+async function findActiveBan(roomId, { clientId = null, address = null }) {
+  const { rows } = await pool.query(
+    `SELECT ${BAN_FIELDS} FROM participant_bans
+     WHERE room_id = $1 AND lifted_at IS NULL
+       AND (client_id = $2 OR (address IS NOT NULL AND address = $3))
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [roomId, clientId, address],
+  );
+  return rows[0] || null;
+}
+
+async function listBans(roomId) {
+  const { rows } = await pool.query(
+    `SELECT ${BAN_FIELDS} FROM participant_bans
+     WHERE room_id = $1 AND lifted_at IS NULL
+     ORDER BY created_at DESC`,
+    [roomId],
+  );
+  return rows;
+}
+
+async function liftBan(roomId, banId, liftedBy) {
+  const { rows } = await pool.query(
+    `UPDATE participant_bans SET lifted_by = $3, lifted_at = NOW()
+     WHERE room_id = $1 AND id = $2 AND lifted_at IS NULL
+     RETURNING ${BAN_FIELDS}`,
+    [roomId, banId, liftedBy],
+  );
+  return rows[0] || null;
+}
+
+const AUDIT_EVENT_FIELDS = `id, action, actor_id AS "actorId", actor_role AS "actorRole", target_id AS "targetId",
+  detail, created_at AS "createdAt"`;
+
+async function recordAuditEvent({ roomId, action, actorId = null, actorRole = null, targetId = null, detail = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO audit_events (room_id, action, actor_id, actor_role, target_id, detail)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${AUDIT_EVENT_FIELDS}`,
+    [roomId, action, actorId, actorRole, targetId, detail ? JSON.stringify(detail) : null],
+  );
+  return rows[0];
+}
+
+// Newest first. Pass the oldest id already loaded as before to page further back.
+async function listAuditEvents(roomId, { before = null, limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${AUDIT_EVENT_FIELDS} FROM audit_events
+     WHERE room_id = $1 AND ($2::bigint IS NULL OR id < $2)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [roomId, before, limit],
+  );
+  return rows;
+}
+
+const TASK_FIELDS = `id, owner_client_id AS "ownerId", owner_display_name AS "ownerDisplayName", description,
+  latest_note AS "latestNote", status, update_count AS "updateCount", closed_by AS "closedBy",
+  cancel_reason AS "cancelReason", created_at AS "startedAt", updated_at AS "updatedAt", closed_at AS "closedAt"`;
+
+async function createTask({ roomId, ownerId, ownerDisplayName, description }) {
+  const { rows } = await pool.query(
+    `INSERT INTO tasks (room_id, owner_client_id, owner_display_name, description)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${TASK_FIELDS}`,
+    [roomId, ownerId, ownerDisplayName, description],
+  );
+  return rows[0];
+}
+
+async function getTaskById(roomId, taskId) {
+  const { rows } = await pool.query(`SELECT ${TASK_FIELDS} FROM tasks WHERE room_id = $1 AND id = $2`, [roomId, taskId]);
+  return rows[0] || null;
+}
+
+async function findOpenTaskForOwner(roomId, ownerId) {
+  const { rows } = await pool.query(
+    `SELECT ${TASK_FIELDS} FROM tasks
+     WHERE room_id = $1 AND owner_client_id = $2 AND status = 'open'
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [roomId, ownerId],
+  );
+  return rows[0] || null;
+}
+
+// Only open tasks move forward; returns null when the task was closed in the meantime.
+async function recordTaskProgress(roomId, taskId, { note, complete }) {
+  const { rows } = await pool.query(
+    `UPDATE tasks
+     SET latest_note = $3, update_count = update_count + 1, updated_at = NOW(),
+         status = CASE WHEN $4::boolean THEN 'completed' ELSE status END,
+         closed_at = CASE WHEN $4::boolean THEN NOW() ELSE closed_at END,
+         closed_by = CASE WHEN $4::boolean THEN owner_client_id ELSE closed_by END
+     WHERE room_id = $1 AND id = $2 AND status = 'open'
+     RETURNING ${TASK_FIELDS}`,
+    [roomId, taskId, note, Boolean(complete)],
+  );
+  return rows[0] || null;
+}
+
+async function cancelTask(roomId, taskId, cancelledBy, reason) {
+  const { rows } = await pool.query(
+    `UPDATE tasks
+     SET status = 'cancelled', closed_by = $3, cancel_reason = $4, closed_at = NOW(), updated_at = NOW()
+     WHERE room_id = $1 AND id = $2 AND status = 'open'
+     RETURNING ${TASK_FIELDS}`,
+    [roomId, taskId, cancelledBy, reason],
+  );
+  return rows[0] || null;
+}
+
+// status is "open", "closed" (completed or cancelled) or null for every task.
+async function listTasks(roomId, { status = null, ownerId = null, limit = 200 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${TASK_FIELDS} FROM tasks
+     WHERE room_id = $1
+       AND ($2::text IS NULL OR ($2 = 'open' AND status = 'open') OR ($2 = 'closed' AND status <> 'open'))
+       AND ($3::text IS NULL OR owner_client_id = $3)
+     ORDER BY created_at DESC
+     LIMIT $4`,
+    [roomId, status, ownerId, limit],
+  );
+  return rows;
+}
+
+// Messages and body characters sent by each AI participant since `since`, optionally for one participant.
+async function getDailyUsage(roomId, since, clientId = null) {
+  const { rows } = await pool.query(
+    `SELECT sender_client_id AS "clientId", COUNT(*)::int AS messages,
+            COALESCE(SUM(char_length(body) + COALESCE(char_length(payload::text), 0)), 0)::int AS characters
+     FROM messages
+     WHERE room_id = $1
+       AND sender_role = 'ai'
+       AND sender_client_id IS NOT NULL
+       AND created_at >= $2
+       AND ($3::text IS NULL OR sender_client_id = $3)
+     GROUP BY sender_client_id`,
+    [roomId, since, clientId],
+  );
+  return rows;
+}
+
+async function getParticipantRoles(roomId) {
+  const { rows } = await pool.query('SELECT DISTINCT role FROM participants WHERE room_id = $1', [roomId]);
+  return rows.map((row) => row.role);
+}
+
+async function markMessageReleased(messageId) {
+  const { rowCount } = await pool.query(
+    `UPDATE messages SET released_at = NOW()
+     WHERE id = $1 AND released_at IS NULL AND blocked_by_interject = FALSE`,
+    [messageId],
+  );
+  return rowCount > 0;
+}
+
+async function blockMessageByInterject(messageId) {
+  const { rowCount } = await pool.query(
+    `UPDATE messages SET blocked_by_interject = TRUE, released_at = NOW()
+     WHERE id = $1 AND released_at IS NULL`,
+    [messageId],
+  );
+  return rowCount > 0;
+}
+
+async function approvePendingMessage(roomId, messageId, reviewedBy) {
+  const { rows } = await pool.query(
+    `UPDATE messages
+     SET review_state = 'approved', reviewed_by = $3, reviewed_at = NOW(),
+         released_at = NOW(), delayed_for_ai_until = NOW()
+     WHERE room_id = $1 AND id = $2 AND released_at IS NULL AND blocked_by_interject = FALSE
+     RETURNING ${MESSAGE_FIELDS}`,
+    [roomId, messageId, reviewedBy],
+  );
+  return rows[0] || null;
+}
+
+async function rejectPendingMessage(roomId, messageId, reviewedBy) {
+  const { rows } = await pool.query(
+    `UPDATE messages
+     SET review_state = 'rejected', reviewed_by = $3, reviewed_at = NOW(), released_at = NOW()
+     WHERE room_id = $1 AND id = $2 AND released_at IS NULL AND blocked_by_interject = FALSE
+     RETURNING ${MESSAGE_FIELDS}`,
+    [roomId, messageId, reviewedBy],
+  );
+  return rows[0] || null;
+}
+
+async function editPendingMessage(roomId, messageId, reviewedBy, body) {
+  const { rows } = await pool.query(
+    `UPDATE messages
+     SET original_body = COALESCE(original_body, body), body = $4,
+         review_state = 'edited', reviewed_by = $3, reviewed_at = NOW()
+     WHERE room_id = $1 AND id = $2 AND released_at IS NULL AND blocked_by_interject = FALSE
+     RETURNING ${MESSAGE_FIELDS}`,
+    [roomId, messageId, reviewedBy, body],
+  );
+  return rows[0] || null;
+}
+
+async function getPendingAiReleases() {
+  const { rows } = await pool.query(
+    `SELECT (SELECT room_code FROM rooms WHERE rooms.id = messages.room_id) AS "roomCode", ${MESSAGE_FIELDS}
+     FROM messages
+     WHERE delayed_for_ai_until IS NOT NULL
+       AND released_at IS NULL
+       AND blocked_by_interject = FALSE
+       AND held_for_ai = FALSE
+     ORDER BY created_at ASC`,
+  );
+  return rows;
+}
+
+// Moves AI-to-AI messages still waiting out their delay into the held set, so they reach AI
+// participants only when releaseHeldMessages runs.
+async function holdPendingAiReleases(roomId) {
+  const { rows } = await pool.query(
+    `UPDATE messages SET held_for_ai = TRUE
+     WHERE room_id = $1
+       AND delayed_for_ai_until IS NOT NULL
+       AND released_at IS NULL
+       AND blocked_by_interject = FALSE
+     RETURNING id`,
+    [roomId],
+  );
+  return rows.map((row) => row.id);
+}
+
+async function releaseHeldMessages(roomId) {
+  const { rows } = await pool.query(
+    `UPDATE messages SET held_for_ai = FALSE
+     WHERE room_id = $1 AND held_for_ai = TRUE
+     RETURNING ${MESSAGE_FIELDS}`,
+    [roomId],
+  );
+  return rows.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+async function setParticipantWebhook(roomId, clientId, webhookUrl, webhookSecret) {
+  await pool.query(
+    `UPDATE participants SET webhook_url = $3, webhook_secret = $4, updated_at = NOW()
+     WHERE room_id = $1 AND client_id = $2`,
+    [roomId, clientId, webhookUrl, webhookSecret],
+  );
+}
+
+async function setParticipantApiToken(roomId, clientId, tokenHash) {
+  await pool.query(
+    `UPDATE participants
+     SET api_token_hash = $3, api_token_issued_at = NOW(), api_token_revoked_at = NULL, updated_at = NOW()
+     WHERE room_id = $1 AND client_id = $2`,
+    [roomId, clientId, tokenHash],
+  );
+}
+
+async function revokeParticipantApiToken(roomId, clientId) {
+  await pool.query(
+    `UPDATE participants
+     SET api_token_hash = NULL, api_token_revoked_at = NOW(), updated_at = NOW()
+     WHERE room_id = $1 AND client_id = $2`,
+    [roomId, clientId],
+  );
+}
+
+async function listWebhookTargets(roomId) {
+  const { rows } = await pool.query(
+    `SELECT client_id AS "clientId", socket_id AS "socketId", role,
+            webhook_url AS "webhookUrl", webhook_secret AS "webhookSecret"
+     FROM participants
+     WHERE room_id = $1 AND webhook_url IS NOT NULL`,
+    [roomId],
+  );
+  return rows;
+}
+
+async function recordWebhookDelivery({
+  roomId,
+  clientId,
+  messageId,
+  deliveryId,
+  event,
+  url,
+  attempt,
+  statusCode,
+  error,
+  durationMs,
+}) {
+  await pool.query(
+    `INSERT INTO webhook_deliveries (
+      room_id, client_id, message_id, delivery_id, event, url, attempt, status_code, error, duration_ms
+    )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [roomId, clientId, messageId, deliveryId, event, url, attempt, statusCode, error, durationMs],
+  );
+}
+
+async function listWebhookDeliveries(roomId, clientId, limit = 50) {
+  const { rows } = await pool.query(
+    `SELECT delivery_id AS "deliveryId", message_id AS "messageId", event, url, attempt,
+            status_code AS "statusCode", error, duration_ms AS "durationMs", created_at AS "createdAt"
+     FROM webhook_deliveries
+     WHERE room_id = $1 AND client_id = $2
+     ORDER BY created_at DESC, id DESC
+     LIMIT $3`,
+    [roomId, clientId, limit],
+  );
+  return rows;
+}
+
+module.exports = {
+  pool,
+  createPool,
+  initializeDatabase,
+  getRoomByCode,
+  createRoom,
+  setRoomStatus,
+  deleteRoom,
+  listExpiredRooms,
+  listRoomStats,
+  getMessages,
+  getMessagePage,
+  getAllMessagesForParticipant,
+  getLatestMessagesForParticipant,
+  getThreadForParticipant,
+  searchMessages,
+  updateParticipantCursor,
+  saveMessage,
+  getMessageById,
+  editMessage,
+  deleteMessage,
+  listMessageRevisions,
+  markDelivered,
+  markRead,
+  setRoomPause,
+  getRoomSettings,
+  saveRoomSettings,
+  recordLoopTrip,
+  getActiveLoopTrip,
+  resolveLoopTrip,
+  createBan,
+  findActiveBan,
+  listBans,
+  liftBan,
+  recordAuditEvent,
+  listAuditEvents,
+  createTask,
+  getTaskById,
+  findOpenTaskForOwner,
+  recordTaskProgress,
+  cancelTask,
+  listTasks,
+  getDailyUsage,
+  getParticipantRoles,
+  getParticipantByClient,
+  upsertParticipant,
+  transferPrimaryHuman,
+  setParticipantModerator,
+  setParticipantOffline,
+  listParticipants,
+  hasPrimaryHuman,
+  hasOtherAiParticipant,
+  markMessageReleased,
+  blockMessageByInterject,
+  approvePendingMessage,
+  rejectPendingMessage,
+  editPendingMessage,
+  releaseHeldMessages,
+  getPendingAiReleases,
+  holdPendingAiReleases,
+  setParticipantWebhook,
+  setParticipantApiToken,
+  revokeParticipantApiToken,
+  listWebhookTargets,
+  recordWebhookDelivery,
+  listWebhookDeliveries,
+};
@@ -0,0 +1,61 @@
+const STREAM_HEARTBEAT_MS = 25_000;
+
+// Server-Sent Events connections on this node, keyed by room code.
+const roomStreams = new Map();
+
+function openEventStream(req, res, { roomCode, roomId, participant }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+
+  const stream = {
+    res,
+    roomCode,
+    roomId,
+    participant,
+    heartbeat: setInterval(() => {
+      if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, STREAM_HEARTBEAT_MS),
+  };
+
+  if (!roomStreams.has(roomCode)) roomStreams.set(roomCode, new Set());
+  roomStreams.get(roomCode).add(stream);
+
+  req.on('close', () => forgetStream(stream));
+
+  return stream;
+}
+
+function forgetStream(stream) {
+  clearInterval(stream.heartbeat);
+  const streams = roomStreams.get(stream.roomCode);
+  if (!streams) return;
+  streams.delete(stream);
+  if (streams.size === 0) roomStreams.delete(stream.roomCode);
+}
+
+// Ends a stream from the server side. It leaves the room set first so later room events skip it.
+function closeStream(stream) {
+  forgetStream(stream);
+  if (!stream.res.writableEnded) stream.res.end();
+}
+
+function sendStreamEvent(stream, event, data) {
+  if (stream.res.writableEnded) return;
+  stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function getRoomStreams(roomCode) {
+  return [...(roomStreams.get(roomCode) || [])];
+}
+
+module.exports = {
+  openEventStream,
+  sendStreamEvent,
+  closeStream,
+  getRoomStreams,
+};
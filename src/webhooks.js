@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { listWebhookTargets, recordWebhookDelivery } = require('./db');
+const { isAddressedTo } = require('./addressing');
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const WEBHOOK_RETRY_BASE_MS = 2_000;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+// Hosts an operator trusts even when they resolve to a private address, such as an agent on the same network.
+const WEBHOOK_ALLOWED_HOSTS = new Set(String(process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean));
+
+// Loopback, private, link-local (including cloud metadata), carrier-grade NAT, multicast and reserved ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function createWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function normalizeWebhookUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  try {
+    const url = new URL(value.trim());
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges.
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Resolves the URL's host to the address a delivery connects to, or returns why the server must not
+// post there. Hostnames are resolved so a public name pointing at an internal address is refused too;
+// every delivery resolves again in case the record changes.
+async function resolveWebhookDestination(url) {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { error: `Webhook host ${host} could not be resolved.` };
+  }
+  if (!WEBHOOK_ALLOWED_HOSTS.has(host) && addresses.some((entry) => isBlockedAddress(entry.address))) {
+    return { error: `Webhook host ${host} resolves to a private, loopback or link-local address.` };
+  }
+  return { destination: addresses[0] };
+}
+
+async function validateWebhookUrl(value, field) {
+  const url = normalizeWebhookUrl(value);
+  if (!url) return { error: `${field} must be an http(s) URL.` };
+  const { error } = await resolveWebhookDestination(url);
+  return error ? { error: `${field} is not allowed. ${error}` } : { url };
+}
+
+// Posts over Node's http client rather than fetch: the connection goes to the address that was checked,
+// so the host cannot answer a second lookup with an internal one, and redirects are never followed.
+function postWebhook(url, { address, family }, headers, body) {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family)),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isMessageSender(target, message) {
+  return message.senderSocketId === `api:${target.clientId}`
+    || (Boolean(target.socketId) && message.senderSocketId === target.socketId);
+}
+
+// Posts a message to every webhook participant whose role is in `roles`, mirroring the
+// pushes that live sockets of those roles receive at the same moment.
+async function dispatchMessageWebhooks(room, message, { roles, event = 'message-new' }) {
+  const snapshot = { ...message };
+
+  try {
+    const targets = await listWebhookTargets(room.id);
+    for (const target of targets) {
+      if (!roles.includes(target.role === 'ai' ? 'ai' : 'human')) continue;
+      if (target.role === 'ai' && !isAddressedTo(snapshot, target.clientId) && !isMessageSender(target, snapshot)) continue;
+      if (event === 'message-new' && isMessageSender(target, snapshot)) continue;
+
+      void deliverWebhook({
+        room,
+        target,
+        messageId: snapshot.id,
+        deliveryId: crypto.randomUUID(),
+        payload: {
+          event,
+          roomId: room.room_code,
+          participantId: target.clientId,
+          message: snapshot,
+        },
+      });
+    }
+  } catch (error) {
+    console.error('Webhook dispatch error', error);
+  }
+}
+
+// Posts a non-message event (such as a cancelled task) to a single participant's webhook.
+async function dispatchParticipantWebhook(room, clientId, event, data) {
+  try {
+    const target = (await listWebhookTargets(room.id)).find((entry) => entry.clientId === clientId);
+    if (!target) return;
+
+    void deliverWebhook({
+      room,
+      target,
+      messageId: null,
+      deliveryId: crypto.randomUUID(),
+      payload: {
+        event,
+        roomId: room.room_code,
+        participantId: clientId,
+        ...data,
+      },
+    });
+  } catch (error) {
+    console.error('Webhook dispatch error', error);
+  }
+}
+
+async function deliverWebhook({ room, target, messageId, deliveryId, payload, attempt = 1 }) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const startedAt = Date.now();
+  let statusCode = null;
+  const { destination, error: blockedReason } = await resolveWebhookDestination(target.webhookUrl);
+  let errorMessage = blockedReason || null;
+  // Neither a refused destination nor a redirect would go differently on a retry.
+  let retryable = !blockedReason;
+
+  try {
+    if (blockedReason) throw new Error(blockedReason);
+    statusCode = await postWebhook(target.webhookUrl, destination, {
+      'Content-Type': 'application/json',
+      'x-aladdin-event': payload.event,
+      'x-aladdin-delivery': deliveryId,
+      'x-aladdin-timestamp': timestamp,
+      'x-aladdin-signature': `sha256=${signWebhookPayload(target.webhookSecret, timestamp, body)}`,
+    }, body);
+    if (statusCode >= 300 && statusCode < 400) {
+      errorMessage = `Webhook responded with a redirect (HTTP ${statusCode}); redirects are not followed.`;
+      retryable = false;
+    } else if (statusCode < 200 || statusCode >= 300) {
+      errorMessage = `Webhook responded with HTTP ${statusCode}.`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  try {
+    await recordWebhookDelivery({
+      roomId: room.id,
+      clientId: target.clientId,
+      messageId,
+      deliveryId,
+      event: payload.event,
+      url: target.webhookUrl,
+      attempt,
+      statusCode,
+      error: errorMessage,
+      durationMs: Date.now() - startedAt,
+    });
+  } catch (error) {
+    console.error('Unable to record webhook delivery', error);
+  }
+
+  if (errorMessage && retryable && attempt < WEBHOOK_MAX_ATTEMPTS) {
+    const retryDelay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+    setTimeout(() => {
+      void retryWebhook({ room, target, messageId, deliveryId, payload, attempt: attempt + 1 });
+    }, retryDelay);
+  }
+}
+
+// A retry goes out only while the participant still has the same webhook URL registered. Its current
+// secret signs the retry, so a re-registered webhook verifies with the secret it was last given.
+async function retryWebhook({ target, ...delivery }) {
+  try {
+    const current = (await listWebhookTargets(delivery.room.id)).find((entry) => entry.clientId === target.clientId);
+    if (!current || current.webhookUrl !== target.webhookUrl) return;
+    await deliverWebhook({ ...delivery, target: current });
+  } catch (error) {
+    console.error('Webhook retry error', error);
+  }
+}
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  createWebhookSecret,
+  validateWebhookUrl,
+  dispatchMessageWebhooks,
+  dispatchParticipantWebhook,
+};